@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Gallery Markup
+ * @description Category and gallery item templates with the helpers and constants they use,
+ *              shared by gallery.js and scripts/prerender-gallery.js so the markup pre-rendered
+ *              into gallery.html is exactly what gallery.js renders and hydrates. Loaded before
+ *              gallery.js as a classic script (its functions are page globals) and required as
+ *              a CommonJS module by the Node scripts. Nothing here touches the DOM.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ */
+
+'use strict';
+
+/* ============================================
+   CONSTANTS
+   ============================================ */
+
+// Width of a grid thumbnail at each breakpoint, for the sizes attribute
+const GRID_IMAGE_SIZES = '(min-width: 1024px) 320px, (min-width: 640px) 33vw, 50vw';
+
+// Per-category layouts, set with "layout" in gallery-data.json
+const GALLERY_LAYOUTS = ['grid', 'justified', 'masonry'];
+
+// Labels of the views that aren't categories - categories are labelled by the "categories"
+// map in gallery-data.json, which the page and the Node scripts both read
+const VIEW_LABELS = {
+    'all': 'All Photos',
+    'favourites': 'My Favourites',
+    'collection': 'Shared Collection'
+};
+
+const PRINT_ICON_PATH = 'M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4';
+const PLAY_ICON_PATH = 'M8 5.14v13.72a1 1 0 001.52.85l10.6-6.86a1 1 0 000-1.7L9.52 4.29A1 1 0 008 5.14z';
+const STAR_ICON_PATH = 'M12 3.5l2.6 5.3 5.9.9-4.3 4.1 1 5.8-5.2-2.7-5.2 2.7 1-5.8-4.3-4.1 5.9-.9z';
+
+/* ============================================
+   HELPERS
+   ============================================ */
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get a display label for a view, or for a category missing from the data file
+ * @param {string} category - View or category key (e.g. 'favourites')
+ * @returns {string} Human-readable label
+ */
+function getCategoryLabel(category) {
+    return VIEW_LABELS[category] || category.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+/**
+ * Normalize a category entry from gallery-data.json
+ * @description Entries may be a plain label string or an object with label, order,
+ *              description, icon and cover (an image id).
+ * @param {string} key - Category key
+ * @param {string|Object} [value] - Category entry from the data file
+ * @returns {{key: string, label: string, order: number, description: string, icon: string, cover: string, layout: string}} Category info
+ */
+function normalizeCategory(key, value) {
+    const entry = typeof value === 'string' ? { label: value } : (value || {});
+    return {
+        key,
+        label: entry.label || getCategoryLabel(key),
+        order: Number.isFinite(entry.order) ? entry.order : Infinity,
+        description: entry.description || '',
+        icon: entry.icon || '',
+        cover: entry.cover || '',
+        layout: GALLERY_LAYOUTS.includes(entry.layout) ? entry.layout : 'grid'
+    };
+}
+
+/**
+ * Group images by category, with categories sorted by their display order, then label
+ * @param {Array<Object>} images - Images from gallery-data.json
+ * @param {Function} getCategory - Returns display info for a category key
+ * @returns {Object<string, Array<Object>>} Images with originalIndex, keyed by category in display order
+ */
+function groupImagesByCategory(images, getCategory) {
+    const imagesByCategory = {};
+    images.forEach((image, index) => {
+        const category = image.category || 'other';
+        if (!imagesByCategory[category]) {
+            imagesByCategory[category] = [];
+        }
+        imagesByCategory[category].push({ ...image, originalIndex: index });
+    });
+
+    // Sort categories by order, then label
+    const sorted = {};
+    Object.keys(imagesByCategory)
+        .map(category => getCategory(category))
+        .sort((a, b) => (a.order - b.order) || a.label.localeCompare(b.label))
+        .forEach(info => {
+            sorted[info.key] = imagesByCategory[info.key];
+        });
+
+    return sorted;
+}
+
+/**
+ * Build srcset strings from an image's responsive variants
+ * @param {Object} image - Image data
+ * @returns {Object|null} srcset per format ({ avif, webp, jpeg }), or null if the image has no variants
+ */
+function getImageSrcsets(image) {
+    if (!image.variants) return null;
+
+    const variants = Object.values(image.variants).sort((a, b) => a.width - b.width);
+    const srcsets = {};
+
+    ['avif', 'webp', 'jpeg'].forEach(format => {
+        // Small originals reuse one file for several variants - list each width once
+        const widths = new Set();
+        srcsets[format] = variants
+            .filter(variant => variant[format] && !widths.has(variant.width) && widths.add(variant.width))
+            .map(variant => `${variant[format]} ${variant.width}w`)
+            .join(', ');
+    });
+
+    return srcsets;
+}
+
+/**
+ * Build the inline style that paints an image's blur-up placeholder
+ * @description Painted with background-size: cover so the preview is cropped
+ *              exactly like the photo that replaces it.
+ * @param {Object} image - Image data
+ * @returns {string} CSS declarations, or '' if the image has no placeholder
+ */
+function getPlaceholderStyle(image) {
+    const { color, lqip } = image.placeholder || {};
+    const declarations = [];
+
+    if (/^#[0-9a-f]{6}$/i.test(color || '')) {
+        declarations.push(`background-color: ${color}`);
+    }
+    if (/^data:image\/(webp|jpeg|png);base64,[A-Za-z0-9+/=]+$/.test(lqip || '')) {
+        declarations.push(`background-image: url(${lqip})`);
+    }
+
+    return declarations.join('; ');
+}
+
+/**
+ * Get the label, alt text and thumbnail a gallery item is rendered with
+ * @description Used by renderGalleryItem() and by canHydrate() in gallery.js, which
+ *              compares them with the markup pre-rendered into gallery.html.
+ * @param {Object} image - Image data
+ * @returns {{label: string, alt: string, src: string}} aria-label, alt text and grid thumbnail URL
+ */
+function getGalleryItemContent(image) {
+    return {
+        label: `${image.type === 'video' ? 'Play video' : 'View image'}: ${image.description || image.alt || 'Gallery image'}`,
+        alt: image.alt || image.description || 'Gallery image',
+        src: image.variants?.thumbnail?.jpeg || image.path
+    };
+}
+
+/* ============================================
+   TEMPLATES
+   ============================================ */
+
+/**
+ * Render a gallery item
+ * @param {Object} image - Image data
+ * @param {number} index - Index of the image in the gallery data
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fadeIn=false] - Hide the image until gallery.js fades it in on load
+ * @param {boolean} [options.favourite=false] - Show the favourite button as pressed
+ * @returns {string} Markup of the .gallery-item element
+ */
+function renderGalleryItem(image, index, { fadeIn = false, favourite = false } = {}) {
+    const isVideo = image.type === 'video';
+    const srcsets = getImageSrcsets(image);
+    const sizes = GRID_IMAGE_SIZES;
+    const placeholder = getPlaceholderStyle(image);
+    const content = getGalleryItemContent(image);
+    const favouriteLabel = escapeHtml(image.description || image.alt || 'Gallery image');
+
+    const imgAttributes = [
+        `src="${escapeHtml(content.src)}"`,
+        srcsets ? `srcset="${escapeHtml(srcsets.jpeg)}" sizes="${sizes}"` : '',
+        image.width && image.height ? `width="${image.width}" height="${image.height}"` : '',
+        `alt="${escapeHtml(content.alt)}"`,
+        'loading="lazy" decoding="async"',
+        fadeIn ? 'style="opacity: 0; transition: opacity 0.3s ease;"' : ''
+    ].filter(Boolean).join(' ');
+
+    return [
+        `<div class="gallery-item${isVideo ? ' gallery-item--video' : ''}" data-category="${escapeHtml(image.category)}" data-index="${index}">`,
+        `    <div class="gallery-item" role="button" tabindex="0" aria-label="${escapeHtml(content.label)}" aria-describedby="gallery-caption-${index}" style="opacity: 1 !important;">`,
+        placeholder
+            ? `        <div class="image-placeholder" style="${placeholder}" aria-hidden="true"></div>`
+            : '        <div class="image-skeleton" aria-hidden="true"></div>',
+        '        <picture>',
+        ...(srcsets ? [
+            `            <source type="image/avif" srcset="${escapeHtml(srcsets.avif)}" sizes="${sizes}">`,
+            `            <source type="image/webp" srcset="${escapeHtml(srcsets.webp)}" sizes="${sizes}">`
+        ] : []),
+        `            <img ${imgAttributes}>`,
+        '        </picture>',
+        '        <div class="gallery-item-overlay" aria-hidden="true"></div>',
+        ...(isVideo ? [
+            `        <span class="gallery-item-play" aria-hidden="true"><svg viewBox="0 0 24 24" fill="currentColor"><path d="${PLAY_ICON_PATH}"></path></svg></span>`
+        ] : []),
+        `        <div class="gallery-item-caption" id="gallery-caption-${index}">${escapeHtml(image.description || '')}</div>`,
+        '    </div>',
+        ...(image.id ? [
+            `    <button type="button" class="gallery-item-favourite" data-id="${escapeHtml(image.id)}" aria-pressed="${favourite}" aria-label="Favourite: ${favouriteLabel}">`,
+            `        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path stroke-linejoin="round" d="${STAR_ICON_PATH}"></path></svg>`,
+            '    </button>'
+        ] : []),
+        '</div>'
+    ].join('\n');
+}
+
+/**
+ * Render a category section: header with cover, title, count and print button, then the grid
+ * @param {Object} info - Category info from normalizeCategory()
+ * @param {Object} options - Options
+ * @param {number} options.count - Number of photos in the category
+ * @param {Object} [options.cover] - Cover image data
+ * @param {Array<string>} [options.items] - Markup of the items to put in the grid
+ * @returns {string} Markup of the .gallery-category-section element
+ */
+function renderCategorySection(info, { count, cover = null, items = [] }) {
+    const label = escapeHtml(info.label);
+    const indent = markup => markup.split('\n').map(line => `        ${line}`);
+
+    return [
+        `<div class="gallery-category-section" data-category="${escapeHtml(info.key)}">`,
+        '    <div class="gallery-category-header">',
+        ...(cover ? [
+            `        <img class="gallery-category-cover" src="${escapeHtml(cover.variants?.thumbnail?.jpeg || cover.path)}" alt="" aria-hidden="true" loading="lazy" decoding="async">`
+        ] : []),
+        '        <div class="gallery-category-heading">',
+        '            <h2 class="gallery-category-title">',
+        ...(info.icon ? [`                <span class="gallery-category-icon" aria-hidden="true">${escapeHtml(info.icon)}</span>`] : []),
+        `                <span>${label}</span>`,
+        `                <span class="gallery-category-count" data-group-count>${count}</span>`,
+        '            </h2>',
+        ...(info.description ? [`            <p class="gallery-category-description">${escapeHtml(info.description)}</p>`] : []),
+        '        </div>',
+        `        <button type="button" class="gallery-print-button" aria-label="Print album: ${label}">`,
+        `            <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${PRINT_ICON_PATH}"></path></svg>`,
+        '            <span>Print album</span>',
+        '        </button>',
+        '    </div>',
+        `    <div class="gallery-grid" data-category="${escapeHtml(info.key)}">`,
+        ...items.flatMap(indent),
+        '    </div>',
+        '</div>'
+    ].join('\n');
+}
+
+// The Node scripts require this file; in the page its functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GRID_IMAGE_SIZES,
+        GALLERY_LAYOUTS,
+        VIEW_LABELS,
+        escapeHtml,
+        getCategoryLabel,
+        normalizeCategory,
+        groupImagesByCategory,
+        getImageSrcsets,
+        getPlaceholderStyle,
+        getGalleryItemContent,
+        renderGalleryItem,
+        renderCategorySection
+    };
+}
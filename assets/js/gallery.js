@@ -6,13 +6,32 @@
  * @version 1.0.0
  * 
  * @module Gallery
+ * @requires gallery-markup.js - Category and gallery item templates (shared with scripts/prerender-gallery.js)
  * @requires error-handler.js - Error handling utilities
  * 
  * Features:
  * - Dynamic gallery generation from JSON data
  * - Lazy loading with Intersection Observer
  * - Lightbox modal with keyboard navigation
- * - Category-based organization
+ * - Category-based organization (labels, order, descriptions, icons and covers from the data file)
+ * - Category filtering with URL-synced state (gallery.html#category=nmms)
+ * - Deep-linkable lightbox photos by image id (gallery.html#photo=img-012)
+ * - Full-text photo search with highlighted captions
+ * - Timeline view grouped by year and event (remembered between visits)
+ * - Incremental rendering with "Show all" per group for large galleries
+ * - Share and download actions for individual photos
+ * - Lightbox details panel, fullscreen mode and keyboard shortcut help
+ * - Video items with poster, MP4/WebM sources and caption tracks
+ * - Blur-up placeholders (dominant colour and tiny preview) while photos load
+ * - Justified-row and masonry layouts per category for mixed aspect ratios
+ * - "Read article" transcripts (English/Telugu) for news clippings, included in search
+ * - Favourite photos (saved in localStorage) and shareable collections (gallery.html#collection=img-003,img-017)
+ * - Printable album per category (gallery.html#print=nmms, laid out by gallery-print.css)
+ * - People tagged from the people.json registry, filterable (gallery.html#person=<id>) and linked to team.html
+ * - Touch/mouse gestures in the lightbox (swipe, pinch/wheel zoom, pan)
+ * - Slideshow mode with play/pause and progress indicator
+ * - Responsive image variants (srcset/sizes, AVIF/WebP) generated by scripts/build-images.js
+ * - Category view pre-rendered into gallery.html by scripts/prerender-gallery.js and hydrated here
  * - Responsive grid layout
  * - Error handling and loading states
  */
@@ -25,30 +44,40 @@
 
 const CONFIG = {
     dataUrl: 'assets/data/gallery-data.json',
+    peopleUrl: 'assets/data/people.json',
+    teamPageUrl: 'team.html',
     animationDelay: 50,
     observerMargin: '50px',
     lightboxTransitionSpeed: 300,
-    debounceDelay: 100
+    debounceDelay: 100,
+    searchDebounceDelay: 250,
+    swipeThreshold: 50,
+    tapTolerance: 10,
+    doubleTapDelay: 300,
+    lightboxMaxZoom: 4,
+    lightboxDoubleTapZoom: 2.5,
+    lightboxMinZoomSnap: 1.05,
+    zoomStep: 1.5,
+    wheelZoomSpeed: 0.0015,
+    slideshowInterval: 5000,
+    lightboxImageSizes: '92vw',
+    viewStorageKey: 'vcs-gallery-view',
+    favouritesStorageKey: 'vcs-gallery-favourites',
+    initialItemsPerGroup: 12, // Items rendered up front in each category/event
+    renderChunkSize: 24, // Items added per animation frame by "Show all"
+    eagerItemCount: 12, // First items revealed without waiting for the observer
+    toastDuration: 3000,
+    shareTitle: 'Vidya Chaitanya Samakhya - Gallery',
+    justifiedRowHeight: 240, // Target row height; rows stretch to fill the width
+    justifiedMaxRowHeight: 360,
+    masonryRowUnit: 4 // grid-auto-rows of the masonry grid, in px
 };
 
-const CATEGORY_LABELS = {
-    'all': 'All Photos',
-    'nmms': 'NMMS',
-    'ideal_persons_awards': "Ideal Persons' Awards",
-    'talent_test': 'Talent Test',
-    'act_science_center': 'ACT Science Center',
-    'science_center_visit': 'Science Center Visit',
-    'inauguration': 'Inauguration',
-    'plantation': 'Plantation',
-    'model_teachers_felicitation': 'Model Teachers Felicitation',
-    'free_classes': 'Free Classes',
-    'members': 'Members',
-    'news_clippings': 'News Clippings',
-    'summer_classes': 'Summer Classes',
-    'gurajada_jayanthi': 'Gurajada Jayanthi',
-    'covid_19_services': 'COVID-19 Services',
-    'education_assistance': 'Education Assistance'
-};
+const GALLERY_VIEWS = ['category', 'timeline'];
+
+// Pseudo-categories that show a list of photos by id instead of a category from the data
+const FAVOURITES_CATEGORY = 'favourites';
+const COLLECTION_CATEGORY = 'collection';
 
 /* ============================================
    UTILITY FUNCTIONS
@@ -73,14 +102,140 @@ function debounce(func, wait) {
 }
 
 /**
- * Escape HTML to prevent XSS attacks
+ * Create an element from markup
+ * @param {string} html - Markup of a single element (e.g. from renderGalleryItem())
+ * @returns {HTMLElement} The element
+ */
+function createElementFromHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+}
+
+/**
+ * Escape special characters for use in a regular expression
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a search query into lowercase terms
+ * @param {string} query - Raw search query
+ * @returns {Array<string>} Search terms
+ */
+function getSearchTerms(query) {
+    return (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Escape text and wrap search term matches in <mark> elements
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} Escaped HTML with highlighted matches
+ */
+function highlightMatches(text, terms) {
+    if (!terms.length) return escapeHtml(text);
+
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+
+    // split() with a capture group puts the matches at odd indices
+    return text.split(pattern)
+        .map((part, i) => (i % 2 ? `<mark class="gallery-highlight">${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+}
+
+/**
+ * Build display info for a person missing from the people registry
+ * @param {string} id - Person id
+ * @returns {{id: string, name: string, role: string}} Person info named after the id
+ */
+function getUnknownPerson(id) {
+    return { id, name: id, role: '' };
+}
+
+/**
+ * Get the URL of an image's grid thumbnail if the browser has already loaded it
+ * @param {Object} image - Image data
+ * @returns {string} Thumbnail or placeholder URL, or '' if the image has neither
+ */
+function getLoadedThumbnail(image) {
+    const selector = `.gallery-item[data-index="${image.originalIndex}"] img`;
+    const gridImage = Number.isInteger(image.originalIndex) ? document.querySelector(selector) : null;
+    if (gridImage && gridImage.complete && gridImage.naturalWidth > 0) {
+        return gridImage.currentSrc || gridImage.src;
+    }
+    // The inline preview needs no request; the thumbnail variant does
+    return image.placeholder?.lqip || image.variants?.thumbnail?.jpeg || '';
+}
+
+/**
+ * List the transcripts available for an item (news clippings)
+ * @param {Object} image - Image data
+ * @returns {Array<{lang: string, text: string}>} English first, then Telugu
+ */
+function getTranscripts(image) {
+    return [
+        { lang: 'en', text: image.transcript },
+        { lang: 'te', text: image.transcript_te }
+    ].filter(entry => typeof entry.text === 'string' && entry.text.trim());
+}
+
+/**
+ * Format an ISO date (YYYY-MM-DD) for display
+ * @param {string|Date} isoDate - ISO date, or a Date
+ * @returns {string} Date such as '16 Jul 2011'
+ */
+function formatDate(isoDate) {
+    const date = isoDate instanceof Date ? isoDate : new Date(`${isoDate}T00:00:00`);
+    if (Number.isNaN(date.getTime())) return isoDate;
+    return date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Check whether a key press belongs to the focused element rather than a shortcut
+ * @description Videos and form controls use the arrow keys, Home/End and Space
+ *              themselves; Escape still closes. The lightbox's own buttons don't count -
+ *              Close has focus when it opens, and Space must still play the slideshow.
+ * @param {KeyboardEvent} e - Key event
+ * @returns {boolean} True if the shortcut should be left to the element
+ */
+function isKeyForTarget(e) {
+    const target = e.target instanceof Element ? e.target : null;
+    if (!target || e.key === 'Escape') return false;
+    return target.closest('video, audio, input, select, textarea, [contenteditable="true"]') !== null;
+}
+
+/**
+ * Read gallery state parameters from the URL hash
+ * @returns {URLSearchParams} Hash parameters (e.g. category=nmms)
+ */
+function getHashParams() {
+    return new URLSearchParams(window.location.hash.replace(/^#/, ''));
+}
+
+/**
+ * Write gallery state parameters to the URL hash
+ * @param {URLSearchParams} params - Hash parameters to write
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing a new one
+ */
+function setHashParams(params, { replace = false } = {}) {
+    // Keep id lists readable (collection=img-003,img-017 rather than %2C)
+    const hash = params.toString().replace(/%2C/gi, ',');
+    const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+    const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+    // Avoid duplicate history entries for unchanged state
+    if (url === currentUrl) return;
+
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
 }
 
 /**
@@ -140,6 +295,220 @@ function getUserFriendlyGalleryMessage(technicalMessage) {
     return 'Unable to load the gallery. Please refresh the page or try again later.';
 }
 
+let toastTimer = null;
+
+/**
+ * Show a short-lived status message
+ * @param {string} message - Message to show
+ */
+function showToast(message) {
+    let toast = document.getElementById('galleryToast');
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'galleryToast';
+        toast.className = 'gallery-toast';
+        toast.setAttribute('role', 'status');
+        toast.setAttribute('aria-live', 'polite');
+        document.body.appendChild(toast);
+    }
+
+    toast.textContent = message;
+    toast.classList.add('visible');
+
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.remove('visible'), CONFIG.toastDuration);
+}
+
+/**
+ * Build a shareable gallery URL that opens a photo
+ * @param {Object} image - Image data with an id
+ * @returns {string} Absolute URL ending in #photo=<id>
+ */
+function getPhotoUrl(image) {
+    const url = new URL(window.location.href);
+    url.hash = new URLSearchParams({ photo: image.id }).toString();
+    return url.href;
+}
+
+/**
+ * Build a shareable gallery URL that opens a collection of photos
+ * @param {Array<string>} ids - Image ids, in album order
+ * @returns {string} Absolute URL ending in #collection=<id>,<id>
+ */
+function getCollectionUrl(ids) {
+    const url = new URL(window.location.href);
+    url.hash = `collection=${ids.map(id => encodeURIComponent(id)).join(',')}`;
+    return url.href;
+}
+
+/**
+ * Share a link with the Web Share API, or copy it to the clipboard
+ * @description navigator.share() is called before anything is awaited - browsers only
+ *              allow it while the click's user activation lasts.
+ * @param {Object} shareData - Title, text and url to share
+ * @param {File|null} [file] - File to attach if the browser can share it
+ */
+async function shareLink(shareData, file = null) {
+    if (navigator.share) {
+        try {
+            if (file && navigator.canShare?.({ ...shareData, files: [file] })) {
+                shareData = { ...shareData, files: [file] };
+            }
+            await navigator.share(shareData);
+            return;
+        } catch (error) {
+            // The user closed the share sheet - nothing to do
+            if (error.name === 'AbortError') return;
+            if (window.logWarn) {
+                window.logWarn('Web Share failed, copying link instead', { error: error.message });
+            }
+        }
+    }
+
+    try {
+        await navigator.clipboard.writeText(shareData.url);
+        showToast('Link copied to clipboard');
+    } catch (error) {
+        showToast('Could not copy the link');
+        if (window.logWarn) {
+            window.logWarn('Failed to copy gallery link', { url: shareData.url, error: error?.message });
+        }
+    }
+}
+
+/**
+ * Turn text into a lowercase, hyphenated filename fragment
+ * @param {string} text - Text to convert
+ * @returns {string} Slug such as 'talent-test-2024'
+ */
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build a descriptive download filename for a photo
+ * @description Uses the category label and description, plus the id so photos
+ *              sharing a caption don't overwrite each other.
+ * @param {Object} image - Image data
+ * @param {string} categoryLabel - Display label of the image's category
+ * @param {string} [file=image.path] - File being downloaded, for its extension
+ * @returns {string} Filename such as 'talent-test-2024-img-045.jpeg'
+ */
+function getDownloadFilename(image, categoryLabel, file = image.path) {
+    const category = slugify(categoryLabel);
+    const description = slugify(image.description);
+    // Avoid 'talent-test-talent-test-2024' when the caption repeats the category
+    const parts = description.startsWith(category) ? [description] : [category, description];
+    const extension = (file.match(/\.([a-z0-9]+)$/i)?.[1] || 'jpg').toLowerCase();
+    const base = parts.concat(image.id || '').filter(Boolean).join('-').slice(0, 100).replace(/-+$/, '');
+    return `${base || 'photo'}.${extension}`;
+}
+
+/* ============================================
+   FAVOURITES STORE CLASS
+   ============================================ */
+
+/**
+ * Favourite photos, persisted in localStorage
+ * @class FavouritesStore
+ * @description Keeps the ids of starred photos in the order they were added and
+ *              stays in sync with other tabs through the storage event.
+ */
+class FavouritesStore {
+    /**
+     * @param {Object} [options] - Options
+     * @param {Function} [options.onChange] - Called after the favourites change, here or in another tab
+     */
+    constructor({ onChange } = {}) {
+        this.onChange = onChange;
+        this.ids = this.load();
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === CONFIG.favouritesStorageKey) {
+                this.ids = this.load();
+                this.onChange?.();
+            }
+        });
+    }
+
+    /**
+     * Read the saved favourites
+     * @returns {Set<string>} Favourite image ids
+     */
+    load() {
+        try {
+            const ids = JSON.parse(localStorage.getItem(CONFIG.favouritesStorageKey) || '[]');
+            return new Set(Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : []);
+        } catch (error) {
+            // localStorage can be unavailable (private browsing, disabled storage) or hold bad JSON
+            return new Set();
+        }
+    }
+
+    /**
+     * Write the favourites to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(CONFIG.favouritesStorageKey, JSON.stringify([...this.ids]));
+        } catch (error) {
+            // Kept for this visit only
+            if (window.logWarn) {
+                window.logWarn('Could not save gallery favourites', { error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Check whether a photo is a favourite
+     * @param {string} id - Image id
+     * @returns {boolean} True if starred
+     */
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    /**
+     * Star or unstar a photo
+     * @param {string} id - Image id
+     * @param {boolean} [force] - Add (true) or remove (false) instead of toggling
+     * @returns {boolean} True if the photo is now a favourite
+     */
+    toggle(id, force = !this.ids.has(id)) {
+        if (force) {
+            this.ids.add(id);
+        } else {
+            this.ids.delete(id);
+        }
+        this.save();
+        this.onChange?.();
+        return force;
+    }
+
+    /**
+     * Star several photos at once
+     * @param {Array<string>} ids - Image ids
+     */
+    addAll(ids) {
+        ids.forEach(id => this.ids.add(id));
+        this.save();
+        this.onChange?.();
+    }
+
+    /**
+     * Get the favourite ids
+     * @returns {Array<string>} Image ids, oldest favourite first
+     */
+    list() {
+        return [...this.ids];
+    }
+}
+
 /* ============================================
    IMAGE LOADER CLASS
    ============================================ */
@@ -178,13 +547,14 @@ class ImageLoader {
 
     /**
      * Observe gallery items for lazy loading animation
-     * @param {NodeList} items - Gallery items to observe
+     * @param {NodeList|Array<HTMLElement>} items - Gallery items to observe
+     * @param {number} [eagerCount=CONFIG.eagerItemCount] - Leading items to show without observing
      */
-    observe(items) {
+    observe(items, eagerCount = CONFIG.eagerItemCount) {
         items.forEach((item, index) => {
             // Immediately show first visible items, animate rest
-            if (index < 12) {
-                // First 12 items (3 rows on desktop) show immediately
+            if (index < eagerCount) {
+                // First items (3 rows on desktop) show immediately
                 setTimeout(() => {
                     item.classList.add('loaded');
                 }, index * 30); // Stagger slightly for effect
@@ -204,429 +574,3057 @@ class ImageLoader {
     }
 }
 
-
-
 /* ============================================
-   LIGHTBOX CONTROLLER CLASS
+   GALLERY LAYOUT CLASS
    ============================================ */
 
 /**
- * Lightbox Controller Class
- * @description Manages lightbox modal functionality for viewing images in full screen.
- *              Handles navigation, keyboard controls, and keyboard accessibility.
+ * Gallery Layout Class
+ * @description Sizes the tiles of justified and masonry grids from the stored image
+ *              dimensions so photos keep their aspect ratio, and re-flows them on resize.
+ *              Plain grids are left to CSS.
  * @class
  */
-class LightboxController {
-    constructor(getFilteredImages) {
-        this.getFilteredImages = getFilteredImages;
-        this.currentIndex = 0;
-        this.isOpen = false;
-
-        this.elements = {
-            lightbox: document.getElementById('lightbox'),
-            image: document.getElementById('lightboxImage'),
-            description: document.getElementById('lightboxDescription'),
-            close: document.getElementById('lightboxClose'),
-            prev: document.getElementById('lightboxPrev'),
-            next: document.getElementById('lightboxNext')
-        };
+class GalleryLayout {
+    /**
+     * @param {Function} getImage - Returns image data for a tile's data-index
+     */
+    constructor(getImage) {
+        this.getImage = getImage;
+        this.grids = new Map();
 
-        this.initEventListeners();
+        this.onResize = debounce(() => this.refresh(), CONFIG.debounceDelay);
+        window.addEventListener('resize', this.onResize);
     }
 
     /**
-     * Initialize event listeners
+     * Lay out a grid with a non-default layout
+     * @param {HTMLElement} grid - Grid element
+     * @param {string} layout - 'grid', 'justified' or 'masonry'
      */
-    initEventListeners() {
-        // Close button
-        this.elements.close?.addEventListener('click', () => this.close());
-
-        // Navigation buttons
-        this.elements.prev?.addEventListener('click', () => this.previous());
-        this.elements.next?.addEventListener('click', () => this.next());
-
-        // Click outside to close
-        this.elements.lightbox?.addEventListener('click', (e) => {
-            if (e.target === this.elements.lightbox) {
-                this.close();
-            }
-        });
-
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (!this.isOpen) return;
+    register(grid, layout) {
+        if (layout === 'grid') return;
 
-            switch (e.key) {
-                case 'Escape':
-                    this.close();
-                    break;
-                case 'ArrowRight':
-                    this.next();
-                    break;
-                case 'ArrowLeft':
-                    this.previous();
-                    break;
-            }
-        });
+        grid.classList.add(`gallery-grid--${layout}`);
+        this.grids.set(grid, layout);
     }
 
     /**
-     * Open lightbox at specific index
-     * @param {number} index - Image index to display
+     * Forget all grids, e.g. before the gallery is re-rendered
      */
-    open(index) {
-        this.currentIndex = index;
-        this.update();
-        this.elements.lightbox?.classList.add('active');
-        document.body.style.overflow = 'hidden';
-        this.isOpen = true;
-
-        // Update ARIA attributes
-        if (this.elements.lightbox) {
-            this.elements.lightbox.setAttribute('aria-hidden', 'false');
-        }
-
-        // Announce to screen readers
-        const images = this.getFilteredImages();
-        if (images && images[this.currentIndex]) {
-            const image = images[this.currentIndex];
-            const announcement = `Image ${this.currentIndex + 1} of ${images.length}: ${image.description || image.alt || 'Gallery image'}`;
-            if (window.announceToScreenReader) {
-                window.announceToScreenReader(announcement, 'polite');
-            }
-        }
-
-        // Set focus to close button for accessibility
-        setTimeout(() => {
-            this.elements.close?.focus();
-        }, CONFIG.lightboxTransitionSpeed);
+    reset() {
+        this.grids.clear();
     }
 
     /**
-     * Close lightbox
+     * Re-flow every registered grid
      */
-    close() {
-        this.elements.lightbox?.classList.remove('active');
-        document.body.style.overflow = '';
-        this.isOpen = false;
+    refresh() {
+        this.grids.forEach((layout, grid) => this.apply(grid));
+    }
 
-        // Update ARIA attributes
-        if (this.elements.lightbox) {
-            this.elements.lightbox.setAttribute('aria-hidden', 'true');
-        }
+    /**
+     * Re-flow one grid from its visible tiles
+     * @param {HTMLElement} grid - Grid element
+     */
+    apply(grid) {
+        const layout = this.grids.get(grid);
+        if (!layout) return;
 
-        // Announce to screen readers
-        if (window.announceToScreenReader) {
-            window.announceToScreenReader('Lightbox closed', 'polite');
+        const items = [...grid.children].filter(item => item.classList.contains('gallery-item') && !item.hidden);
+        if (layout === 'justified') {
+            this.applyJustified(grid, items);
+        } else {
+            this.applyMasonry(grid, items);
         }
     }
 
     /**
-     * Update lightbox content
+     * Get a tile's width / height ratio from the image data
+     * @param {HTMLElement} item - Gallery item with a data-index
+     * @returns {number} Aspect ratio (1 when unknown)
      */
-    update() {
-        const images = this.getFilteredImages();
-        if (!images || images.length === 0) return;
+    getAspectRatio(item) {
+        const image = this.getImage(Number(item.getAttribute('data-index')));
+        return image && image.width && image.height ? image.width / image.height : 1;
+    }
 
-        const image = images[this.currentIndex];
-        if (!image) return;
+    /**
+     * Pack tiles into rows that fill the grid width (Flickr-style)
+     * @description Tiles are added to a row until it would be shorter than the target
+     *              height, then the row is scaled to fit exactly. The last row keeps the
+     *              target height rather than being stretched.
+     * @param {HTMLElement} grid - Grid element
+     * @param {Array<HTMLElement>} items - Visible tiles in order
+     */
+    applyJustified(grid, items) {
+        const width = grid.clientWidth;
+        if (!width) return;
+
+        const gap = parseFloat(getComputedStyle(grid).columnGap) || 0;
+        let row = [];
+        let rowRatio = 0;
+
+        const sizeRow = (height, fill) => {
+            row.forEach(({ item, ratio }, index) => {
+                item.style.height = `${height}px`;
+                item.style.width = `${Math.floor(ratio * height)}px`;
+                // The last tile absorbs rounding so the row ends flush with the grid
+                item.style.flexGrow = fill && index === row.length - 1 ? '1' : '';
+            });
+            row = [];
+            rowRatio = 0;
+        };
 
-        if (this.elements.image) {
-            this.elements.image.src = image.path;
-            this.elements.image.alt = image.alt || image.description || 'Gallery image';
-        }
+        items.forEach(item => {
+            const ratio = this.getAspectRatio(item);
+            row.push({ item, ratio });
+            rowRatio += ratio;
 
-        if (this.elements.description) {
-            this.elements.description.textContent = image.description || '';
-            
-            // Update ARIA label for lightbox
-            if (this.elements.lightbox) {
-                const imageCount = `${this.currentIndex + 1} of ${images.length}`;
-                this.elements.lightbox.setAttribute('aria-label', `Image ${imageCount}: ${image.description || image.alt || 'Gallery image'}`);
+            const height = (width - gap * (row.length - 1)) / rowRatio;
+            if (height <= CONFIG.justifiedRowHeight) {
+                sizeRow(height, true);
             }
-        }
+        });
 
-        // Announce image change to screen readers
-        if (this.isOpen && window.announceToScreenReader) {
-            const announcement = `Image ${this.currentIndex + 1} of ${images.length}: ${image.description || image.alt || 'Gallery image'}`;
-            window.announceToScreenReader(announcement, 'polite');
+        if (row.length > 0) {
+            const height = (width - gap * (row.length - 1)) / rowRatio;
+            sizeRow(Math.min(CONFIG.justifiedRowHeight, height, CONFIG.justifiedMaxRowHeight), false);
         }
     }
 
     /**
-     * Show next image
+     * Span each tile over enough grid rows to show its whole photo
+     * @param {HTMLElement} grid - Grid element
+     * @param {Array<HTMLElement>} items - Visible tiles in order
      */
-    next() {
-        const images = this.getFilteredImages();
+    applyMasonry(grid, items) {
+        const columnWidth = items[0]?.clientWidth;
+        if (!columnWidth) return;
+
+        const gap = parseFloat(getComputedStyle(grid).rowGap) || 0;
+        items.forEach(item => {
+            const height = columnWidth / this.getAspectRatio(item);
+            item.style.gridRowEnd = `span ${Math.ceil((height + gap) / (CONFIG.masonryRowUnit + gap))}`;
+        });
+    }
+
+    /**
+     * Remove the resize listener
+     */
+    destroy() {
+        window.removeEventListener('resize', this.onResize);
+        this.grids.clear();
+    }
+}
+
+/* ============================================
+   LIGHTBOX GESTURES CLASS
+   ============================================ */
+
+/**
+ * Lightbox Gestures Class
+ * @description Adds touch and mouse gestures to the lightbox using Pointer Events:
+ *              swipe left/right to navigate, swipe down to close, double-tap and
+ *              pinch (or mouse wheel) to zoom, and drag to pan a zoomed image.
+ * @class
+ */
+class LightboxGestures {
+    /**
+     * @param {HTMLElement} surface - Element that receives the gestures (the lightbox)
+     * @param {HTMLImageElement} image - Image that is zoomed and panned
+     * @param {Object} handlers - Gesture callbacks
+     * @param {Function} handlers.onSwipeLeft - Called on a left swipe
+     * @param {Function} handlers.onSwipeRight - Called on a right swipe
+     * @param {Function} handlers.onSwipeDown - Called on a downward swipe
+     */
+    constructor(surface, image, handlers) {
+        this.surface = surface;
+        this.image = image;
+        this.handlers = handlers;
+
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = null;
+        this.suppressClick = false;
+
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.swipeOffset = { x: 0, y: 0 };
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialize pointer and wheel listeners
+     */
+    initEventListeners() {
+        if (!this.surface || !this.image) return;
+
+        this.surface.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.surface.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.surface.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.surface.addEventListener('pointercancel', (e) => this.onPointerUp(e, true));
+        this.surface.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+
+        // Swallow the click that ends a drag so it doesn't close the lightbox
+        this.surface.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                e.stopImmediatePropagation();
+                this.suppressClick = false;
+            }
+        }, true);
+
+        // Prevent the browser's native image drag
+        this.image.addEventListener('dragstart', (e) => e.preventDefault());
+    }
+
+    /**
+     * Handle pointer down - start a swipe, pan or pinch
+     * @param {PointerEvent} e - Pointer event
+     */
+    onPointerDown(e) {
+        // Leave controls, links, the video player and the overlays to handle their own pointers
+        if (e.target.closest('button, a, video, .lightbox-panel, .lightbox-help') ||
+            (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.surface.setPointerCapture?.(e.pointerId);
+        this.surface.classList.add('is-dragging');
+        this.suppressClick = false;
+
+        if (this.pointers.size === 2) {
+            const [a, b] = [...this.pointers.values()];
+            this.swipeOffset = { x: 0, y: 0 };
+            this.gesture = {
+                type: 'pinch',
+                startDistance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+                startScale: this.scale,
+                moved: true
+            };
+        } else if (this.pointers.size === 1) {
+            this.startDrag(e.clientX, e.clientY);
+        }
+    }
+
+    /**
+     * Start a single-pointer drag: pan when zoomed, swipe otherwise
+     * @param {number} clientX - Pointer x position
+     * @param {number} clientY - Pointer y position
+     * @param {boolean} [moved=false] - Whether the gesture already counts as a drag
+     */
+    startDrag(clientX, clientY, moved = false) {
+        this.gesture = {
+            type: this.scale > 1 ? 'pan' : 'swipe',
+            startX: clientX,
+            startY: clientY,
+            originX: this.x,
+            originY: this.y,
+            moved
+        };
+    }
+
+    /**
+     * Handle pointer move - update pinch zoom, pan or swipe feedback
+     * @param {PointerEvent} e - Pointer event
+     */
+    onPointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        if (gesture.type === 'pinch') {
+            const [a, b] = [...this.pointers.values()];
+            if (!b) return;
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            this.zoomTo(gesture.startScale * (distance / gesture.startDistance), (a.x + b.x) / 2, (a.y + b.y) / 2);
+            return;
+        }
+
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+
+        if (!gesture.moved && Math.hypot(dx, dy) > CONFIG.tapTolerance) {
+            gesture.moved = true;
+        }
+        if (!gesture.moved) return;
+
+        if (gesture.type === 'pan') {
+            this.x = gesture.originX + dx;
+            this.y = gesture.originY + dy;
+            this.clampPan();
+        } else {
+            // Follow the finger along the dominant axis; only downward drags move vertically
+            this.swipeOffset = Math.abs(dx) > Math.abs(dy)
+                ? { x: dx, y: 0 }
+                : { x: 0, y: Math.max(0, dy) };
+        }
+
+        this.applyTransform();
+    }
+
+    /**
+     * Handle pointer up - finish the gesture and trigger swipe or tap actions
+     * @param {PointerEvent} e - Pointer event
+     * @param {boolean} [cancelled=false] - True for pointercancel
+     */
+    onPointerUp(e, cancelled = false) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        const gesture = this.gesture;
+        if (gesture?.moved) {
+            this.suppressClick = true;
+        }
+
+        if (gesture?.type === 'pinch') {
+            if (this.pointers.size === 1) {
+                // Continue panning with the remaining finger
+                const [remaining] = [...this.pointers.values()];
+                this.startDrag(remaining.x, remaining.y, true);
+                if (this.gesture.type === 'swipe') this.gesture = null;
+            }
+            if (this.pointers.size === 0) {
+                this.endGesture();
+                if (this.scale < CONFIG.lightboxMinZoomSnap) this.reset();
+            }
+            return;
+        }
+
+        if (this.pointers.size > 0) return;
+        this.endGesture();
+
+        if (!gesture || cancelled) {
+            this.swipeOffset = { x: 0, y: 0 };
+            this.applyTransform();
+            return;
+        }
+
+        if (!gesture.moved) {
+            this.handleTap(e);
+            return;
+        }
+
+        if (gesture.type === 'swipe') {
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+
+            this.swipeOffset = { x: 0, y: 0 };
+            this.applyTransform();
+
+            if (Math.abs(dx) > Math.abs(dy) && Math.abs(dx) > CONFIG.swipeThreshold) {
+                if (dx < 0) {
+                    this.handlers.onSwipeLeft?.();
+                } else {
+                    this.handlers.onSwipeRight?.();
+                }
+            } else if (dy > CONFIG.swipeThreshold && dy > Math.abs(dx)) {
+                this.handlers.onSwipeDown?.();
+            }
+        }
+    }
+
+    /**
+     * Clear the active gesture
+     */
+    endGesture() {
+        this.gesture = null;
+        this.surface.classList.remove('is-dragging');
+    }
+
+    /**
+     * Handle a tap on the image - a double tap toggles zoom at the tapped point
+     * @param {PointerEvent} e - Pointer event
+     */
+    handleTap(e) {
+        if (e.target !== this.image) return;
+
+        const now = Date.now();
+        const last = this.lastTap;
+
+        if (last && now - last.time < CONFIG.doubleTapDelay &&
+            Math.hypot(e.clientX - last.x, e.clientY - last.y) < CONFIG.tapTolerance * 3) {
+            this.lastTap = null;
+            if (this.scale > 1) {
+                this.reset();
+            } else {
+                this.zoomTo(CONFIG.lightboxDoubleTapZoom, e.clientX, e.clientY);
+            }
+        } else {
+            this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+        }
+    }
+
+    /**
+     * Handle mouse wheel / trackpad pinch - zoom around the cursor
+     * @param {WheelEvent} e - Wheel event
+     */
+    onWheel(e) {
+        // Let the details panel and help overlay scroll
+        if (e.target.closest('.lightbox-panel, .lightbox-help')) return;
+        e.preventDefault();
+        this.zoomTo(this.scale * Math.exp(-e.deltaY * CONFIG.wheelZoomSpeed), e.clientX, e.clientY);
+    }
+
+    /**
+     * Zoom to a scale, keeping the point under the given coordinates fixed
+     * @param {number} scale - Target scale (clamped to 1..CONFIG.lightboxMaxZoom)
+     * @param {number} [clientX] - Zoom origin x (defaults to image center)
+     * @param {number} [clientY] - Zoom origin y (defaults to image center)
+     */
+    zoomTo(scale, clientX, clientY) {
+        // Nothing to zoom while a video is showing in place of the photo
+        if (this.image.closest('[hidden]')) return;
+
+        const newScale = Math.min(CONFIG.lightboxMaxZoom, Math.max(1, scale));
+        const rect = this.image.getBoundingClientRect();
+
+        // Center of the untransformed image
+        const centerX = rect.left + rect.width / 2 - this.x - this.swipeOffset.x;
+        const centerY = rect.top + rect.height / 2 - this.y - this.swipeOffset.y;
+        const offsetX = (clientX ?? centerX) - centerX;
+        const offsetY = (clientY ?? centerY) - centerY;
+
+        this.x = offsetX - (offsetX - this.x) * (newScale / this.scale);
+        this.y = offsetY - (offsetY - this.y) * (newScale / this.scale);
+        this.scale = newScale;
+
+        this.clampPan();
+        this.applyTransform();
+    }
+
+    /**
+     * Zoom in one step around the image center
+     */
+    zoomIn() {
+        this.zoomTo(this.scale * CONFIG.zoomStep);
+    }
+
+    /**
+     * Zoom out one step around the image center
+     */
+    zoomOut() {
+        this.zoomTo(this.scale / CONFIG.zoomStep);
+    }
+
+    /**
+     * Keep a zoomed image from being panned past its edges
+     */
+    clampPan() {
+        const maxX = (this.image.offsetWidth * (this.scale - 1)) / 2;
+        const maxY = (this.image.offsetHeight * (this.scale - 1)) / 2;
+        this.x = Math.min(maxX, Math.max(-maxX, this.x));
+        this.y = Math.min(maxY, Math.max(-maxY, this.y));
+    }
+
+    /**
+     * Apply the current zoom, pan and swipe offset to the image
+     */
+    applyTransform() {
+        const x = this.x + this.swipeOffset.x;
+        const y = this.y + this.swipeOffset.y;
+        const isTransformed = this.scale !== 1 || x !== 0 || y !== 0;
+
+        this.image.style.transform = isTransformed ? `translate(${x}px, ${y}px) scale(${this.scale})` : '';
+        this.surface.classList.toggle('is-zoomed', this.scale > 1);
+    }
+
+    /**
+     * Reset zoom and pan
+     */
+    reset() {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.swipeOffset = { x: 0, y: 0 };
+        this.lastTap = null;
+        this.applyTransform();
+    }
+
+    /**
+     * Check whether the image is zoomed in
+     * @returns {boolean} True if zoomed
+     */
+    isZoomed() {
+        return this.scale > 1;
+    }
+}
+
+/* ============================================
+   SLIDESHOW CONTROLLER CLASS
+   ============================================ */
+
+/**
+ * Slideshow Controller Class
+ * @description Auto-advances the lightbox through the current photo sequence.
+ *              Pauses while the photo is hovered, keyboard-focused, zoomed or loading
+ *              and while a video plays,
+ *              restarts its timer on user interaction, and steps its progress
+ *              indicator instead of animating it under prefers-reduced-motion.
+ * @class
+ */
+class SlideshowController {
+    /**
+     * @param {LightboxController} lightbox - Lightbox to advance
+     */
+    constructor(lightbox) {
+        this.lightbox = lightbox;
+        this.isPlaying = false;
+        this.holds = new Set();
+        this.elapsed = 0;
+        this.lastTick = null;
+        this.frame = null;
+        this.reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+
+        const progress = document.getElementById('lightboxProgress');
+        this.elements = {
+            button: document.getElementById('lightboxPlay'),
+            progress,
+            bar: progress?.querySelector('.lightbox-progress-bar'),
+            content: lightbox.elements.lightbox?.querySelector('.lightbox-content')
+        };
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    initEventListeners() {
+        this.elements.button?.addEventListener('click', () => this.toggle());
+
+        // Pause while the photo is hovered
+        this.elements.content?.addEventListener('mouseenter', () => this.holds.add('hover'));
+        this.elements.content?.addEventListener('mouseleave', () => this.holds.delete('hover'));
+
+        // Pause while a keyboard user is focused on a lightbox control
+        const lightbox = this.lightbox.elements.lightbox;
+        lightbox?.addEventListener('focusin', (e) => {
+            if (e.target !== this.elements.button && document.body.classList.contains('keyboard-navigation')) {
+                this.holds.add('focus');
+            }
+        });
+        lightbox?.addEventListener('focusout', () => this.holds.delete('focus'));
+
+        // Touching or dragging the photo restarts the countdown
+        lightbox?.addEventListener('pointerdown', () => this.restart());
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    toggle() {
+        if (this.isPlaying) {
+            this.stop();
+        } else {
+            this.start();
+        }
+
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(this.isPlaying ? 'Slideshow started' : 'Slideshow paused', 'polite');
+        }
+    }
+
+    /**
+     * Start auto-advancing
+     */
+    start() {
+        if (this.isPlaying) return;
+
+        this.isPlaying = true;
+        this.elapsed = 0;
+        this.lastTick = null;
+        this.updateButton();
+        this.frame = requestAnimationFrame((now) => this.tick(now));
+    }
+
+    /**
+     * Stop auto-advancing and reset progress
+     */
+    stop() {
+        this.isPlaying = false;
+        this.elapsed = 0;
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.updateButton();
+        this.renderProgress();
+    }
+
+    /**
+     * Restart the countdown for the current photo
+     */
+    restart() {
+        this.elapsed = 0;
+        this.renderProgress();
+    }
+
+    /**
+     * Check whether the slideshow is temporarily held
+     * @returns {boolean} True while hovered, focused, zoomed, loading or playing a video
+     */
+    isHeld() {
+        return this.holds.size > 0 || this.lightbox.gestures.isZoomed() || this.lightbox.isLoading ||
+            this.lightbox.isVideoPlaying();
+    }
+
+    /**
+     * Animation frame callback - advance elapsed time and move on when the interval is reached
+     * @param {number} now - High resolution timestamp
+     */
+    tick(now) {
+        if (!this.isPlaying) return;
+
+        const delta = this.lastTick === null ? 0 : now - this.lastTick;
+        this.lastTick = now;
+
+        if (!this.isHeld()) {
+            this.elapsed += delta;
+        }
+
+        if (this.elapsed >= CONFIG.slideshowInterval) {
+            // update() restarts the countdown for the new photo
+            this.lightbox.next();
+        }
+
+        this.renderProgress();
+        this.frame = requestAnimationFrame((time) => this.tick(time));
+    }
+
+    /**
+     * Render the progress indicator
+     */
+    renderProgress() {
+        const { progress, bar } = this.elements;
+        if (!progress || !bar) return;
+
+        let elapsed = this.elapsed;
+        if (this.reducedMotion?.matches) {
+            // Step once per second instead of a continuous animation
+            elapsed = Math.floor(elapsed / 1000) * 1000;
+        }
+
+        progress.hidden = !this.isPlaying;
+        progress.classList.toggle('is-held', this.isPlaying && this.isHeld());
+        bar.style.transform = `scaleX(${Math.min(1, elapsed / CONFIG.slideshowInterval)})`;
+    }
+
+    /**
+     * Sync the play/pause button with the current state
+     */
+    updateButton() {
+        const button = this.elements.button;
+        if (!button) return;
+
+        const label = this.isPlaying ? 'Pause slideshow' : 'Start slideshow';
+        button.setAttribute('aria-pressed', String(this.isPlaying));
+        button.setAttribute('aria-label', label);
+        button.classList.toggle('is-playing', this.isPlaying);
+
+        const srText = button.querySelector('.sr-only');
+        if (srText) srText.textContent = label;
+    }
+}
+
+/* ============================================
+   LIGHTBOX CONTROLLER CLASS
+   ============================================ */
+
+/**
+ * Lightbox Controller Class
+ * @description Manages lightbox modal functionality for viewing images in full screen.
+ *              Handles navigation, keyboard controls, and keyboard accessibility.
+ * @class
+ */
+class LightboxController {
+    /**
+     * @param {Function} getFilteredImages - Returns the images to navigate through
+     * @param {Object} [options] - Options
+     * @param {Function} [options.onClose] - Called with the last viewed image after closing
+     * @param {Function} [options.getCategory] - Returns display info for a category key
+     * @param {FavouritesStore} [options.favourites] - Favourites starred with the favourite button
+     * @param {Function} [options.getPerson] - Returns display info for a tagged person id
+     */
+    constructor(getFilteredImages, { onClose, getCategory = normalizeCategory, favourites = null, getPerson = getUnknownPerson } = {}) {
+        this.getFilteredImages = getFilteredImages;
+        this.onClose = onClose;
+        this.getCategory = getCategory;
+        this.getPerson = getPerson;
+        this.favourites = favourites;
+        this.currentIndex = 0;
+        this.isOpen = false;
+        this.historyPushed = false;
+        this.isLoading = false;
+        this.loadToken = 0;
+        this.preloads = new Map();
+        this.shareFile = null;
+
+        this.elements = {
+            lightbox: document.getElementById('lightbox'),
+            image: document.getElementById('lightboxImage'),
+            picture: document.getElementById('lightboxImage')?.closest('picture'),
+            video: document.getElementById('lightboxVideo'),
+            placeholder: document.getElementById('lightboxPlaceholder'),
+            error: document.getElementById('lightboxError'),
+            retry: document.getElementById('lightboxRetry'),
+            sourceAvif: document.getElementById('lightboxSourceAvif'),
+            sourceWebp: document.getElementById('lightboxSourceWebp'),
+            description: document.getElementById('lightboxDescription'),
+            counter: document.getElementById('lightboxCounter'),
+            close: document.getElementById('lightboxClose'),
+            prev: document.getElementById('lightboxPrev'),
+            next: document.getElementById('lightboxNext'),
+            favourite: document.getElementById('lightboxFavourite'),
+            share: document.getElementById('lightboxShare'),
+            download: document.getElementById('lightboxDownload'),
+            infoToggle: document.getElementById('lightboxInfoToggle'),
+            panel: document.getElementById('lightboxPanel'),
+            details: document.getElementById('lightboxDetails'),
+            fullscreen: document.getElementById('lightboxFullscreen'),
+            help: document.getElementById('lightboxHelp'),
+            helpClose: document.getElementById('lightboxHelpClose'),
+            readToggle: document.getElementById('lightboxReadToggle'),
+            article: document.getElementById('lightboxArticle'),
+            articleText: document.getElementById('lightboxArticleText'),
+            articleLanguages: document.getElementById('lightboxArticleLanguages')
+        };
+        this.transcriptLanguage = 'en';
+
+        this.gestures = new LightboxGestures(this.elements.lightbox, this.elements.image, {
+            onSwipeLeft: () => this.next(),
+            onSwipeRight: () => this.previous(),
+            onSwipeDown: () => this.close()
+        });
+
+        this.slideshow = new SlideshowController(this);
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    initEventListeners() {
+        // Close button
+        this.elements.close?.addEventListener('click', () => this.close());
+
+        // Navigation buttons
+        this.elements.prev?.addEventListener('click', () => this.previous());
+        this.elements.next?.addEventListener('click', () => this.next());
+
+        // Photo actions
+        this.elements.favourite?.addEventListener('click', () => this.toggleFavourite());
+        if (this.elements.favourite && !this.favourites) {
+            this.elements.favourite.hidden = true;
+        }
+        this.elements.share?.addEventListener('click', () => this.share());
+        // Download the photo for sharing only once someone reaches for the button
+        ['pointerenter', 'pointerdown', 'focus'].forEach(type => {
+            this.elements.share?.addEventListener(type, () => {
+                const image = this.getFilteredImages()?.[this.currentIndex];
+                if (image) {
+                    this.prepareShareFile(image);
+                }
+            });
+        });
+        this.elements.infoToggle?.addEventListener('click', () => this.toggleInfo());
+        this.elements.readToggle?.addEventListener('click', () => this.toggleArticle());
+        this.elements.articleLanguages?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-lang]');
+            if (button) {
+                this.transcriptLanguage = button.getAttribute('data-lang');
+                this.renderArticle(this.getFilteredImages()?.[this.currentIndex]);
+            }
+        });
+        this.elements.fullscreen?.addEventListener('click', () => this.toggleFullscreen());
+        this.elements.helpClose?.addEventListener('click', () => this.toggleHelp(false));
+
+        if (this.elements.fullscreen) {
+            this.elements.fullscreen.hidden = !(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+        }
+        ['fullscreenchange', 'webkitfullscreenchange'].forEach(type => {
+            document.addEventListener(type, () => this.updateFullscreenButton());
+        });
+
+        // Retry a photo that failed to load
+        this.elements.retry?.addEventListener('click', () => {
+            const image = this.getFilteredImages()?.[this.currentIndex];
+            if (image) {
+                this.setImageSource(image);
+            }
+        });
+
+        // Click outside to close
+        this.elements.lightbox?.addEventListener('click', (e) => {
+            if (e.target === this.elements.lightbox) {
+                this.close();
+            }
+        });
+
+        // Escape closes the help overlay first - capture so accessibility.js doesn't close the lightbox
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen && e.key === 'Escape' && this.isHelpOpen()) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.toggleHelp(false);
+            }
+        }, true);
+
+        // Keyboard navigation
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+            // Leave browser shortcuts such as Ctrl+F and Ctrl++ alone
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (isKeyForTarget(e)) return;
+
+            switch (e.key) {
+                case 'Escape':
+                    this.close();
+                    break;
+                case 'ArrowRight':
+                    this.next();
+                    break;
+                case 'ArrowLeft':
+                    this.previous();
+                    break;
+                case 'Home':
+                    e.preventDefault();
+                    this.goTo(0);
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    this.goTo(this.getFilteredImages().length - 1);
+                    break;
+                case 'f':
+                case 'F':
+                    this.toggleFullscreen();
+                    break;
+                case 'i':
+                case 'I':
+                    this.toggleInfo();
+                    break;
+                case 'r':
+                case 'R':
+                    this.toggleArticle();
+                    break;
+                case 's':
+                case 'S':
+                    this.toggleFavourite();
+                    break;
+                case '?':
+                    this.toggleHelp();
+                    break;
+                case '+':
+                case '=':
+                    this.gestures.zoomIn();
+                    break;
+                case '-':
+                    this.gestures.zoomOut();
+                    break;
+                case '0':
+                    this.gestures.reset();
+                    break;
+                case ' ':
+                    e.preventDefault();
+                    if (this.isShowingVideo()) {
+                        this.toggleVideo();
+                    } else {
+                        this.slideshow.toggle();
+                    }
+                    break;
+            }
+        });
+
+        // Space toggles the slideshow - stop it also activating the focused button on keyup
+        document.addEventListener('keyup', (e) => {
+            if (this.isOpen && e.key === ' ' && !isKeyForTarget(e)) {
+                e.preventDefault();
+            }
+        });
+    }
+
+    /**
+     * Open lightbox at specific index
+     * @param {number} index - Image index to display
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.updateHistory=true] - Push a history entry for the photo (#photo=<id>)
+     */
+    open(index, { updateHistory = true } = {}) {
+        this.currentIndex = index;
+        this.update();
+
+        if (updateHistory) {
+            this.historyPushed = this.syncUrl();
+        }
+
+        this.elements.lightbox?.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        this.isOpen = true;
+
+        // Update ARIA attributes
+        if (this.elements.lightbox) {
+            this.elements.lightbox.setAttribute('aria-hidden', 'false');
+        }
+
+        // Announce to screen readers
+        const images = this.getFilteredImages();
+        if (images && images[this.currentIndex]) {
+            const image = images[this.currentIndex];
+            const announcement = `Image ${this.currentIndex + 1} of ${images.length}: ${image.description || image.alt || 'Gallery image'}`;
+            if (window.announceToScreenReader) {
+                window.announceToScreenReader(announcement, 'polite');
+            }
+        }
+
+        // Set focus to close button for accessibility
+        setTimeout(() => {
+            this.elements.close?.focus();
+        }, CONFIG.lightboxTransitionSpeed);
+    }
+
+    /**
+     * Close lightbox
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.updateHistory=true] - Remove the photo from the URL
+     */
+    close({ updateHistory = true } = {}) {
+        // Escape is handled both here and by accessibility.js; only close once
+        if (!this.isOpen) return;
+
+        if (updateHistory) {
+            if (this.historyPushed) {
+                // Pop the entry pushed by open() so back/forward stays in step
+                history.back();
+            } else {
+                const params = getHashParams();
+                params.delete('photo');
+                setHashParams(params, { replace: true });
+            }
+        }
+        this.historyPushed = false;
+        this.gestures.reset();
+        this.slideshow.stop();
+
+        // Ignore the in-flight load and drop queued neighbours
+        this.loadToken++;
+        this.setLoadingState('idle');
+        this.cancelPreloads();
+        this.cancelShareFile();
+        this.stopVideo();
+
+        this.toggleHelp(false);
+        if (this.isFullscreen()) {
+            this.toggleFullscreen();
+        }
+
+        this.elements.lightbox?.classList.remove('active');
+        document.body.style.overflow = '';
+        this.isOpen = false;
+
+        // Update ARIA attributes
+        if (this.elements.lightbox) {
+            this.elements.lightbox.setAttribute('aria-hidden', 'true');
+        }
+
+        // Announce to screen readers
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader('Lightbox closed', 'polite');
+        }
+
+        const image = this.getFilteredImages()?.[this.currentIndex];
+        if (image && this.onClose) {
+            this.onClose(image);
+        }
+    }
+
+    /**
+     * Update lightbox content
+     */
+    update() {
+        const images = this.getFilteredImages();
+        if (!images || images.length === 0) return;
+
+        const image = images[this.currentIndex];
+        if (!image) return;
+
+        this.gestures.reset();
+        this.slideshow.restart();
+
+        // Pause the previous video before showing anything else
+        const isVideo = image.type === 'video';
+        this.stopVideo();
+        this.elements.lightbox?.classList.toggle('is-video', isVideo);
+        if (this.elements.picture) {
+            this.elements.picture.hidden = isVideo;
+        }
+
+        if (isVideo) {
+            this.setVideoSource(image);
+        } else if (this.elements.image) {
+            this.setImageSource(image);
+            this.elements.image.alt = image.alt || image.description || 'Gallery image';
+        }
+
+        if (this.elements.counter) {
+            this.elements.counter.textContent = `${this.currentIndex + 1} / ${images.length}`;
+        }
+
+        this.renderDetails(image);
+        this.renderArticle(image);
+        this.updateFavouriteButton();
+        if (this.shareFile?.id !== image.id) {
+            this.cancelShareFile();
+        }
+
+        if (this.elements.download) {
+            // Download the original, not the resized variant on screen
+            const video = isVideo && (image.sources.find(source => source.type === 'video/mp4') || image.sources[0]);
+            const original = video ? video.src : image.path;
+            this.elements.download.href = original;
+            this.elements.download.download = getDownloadFilename(image, this.getCategory(image.category || 'other').label, original);
+        }
+
+        if (this.elements.description) {
+            this.elements.description.textContent = image.description || '';
+            
+            // Update ARIA label for lightbox
+            if (this.elements.lightbox) {
+                const imageCount = `${this.currentIndex + 1} of ${images.length}`;
+                this.elements.lightbox.setAttribute('aria-label', `Image ${imageCount}: ${image.description || image.alt || 'Gallery image'}`);
+            }
+        }
+
+        // Announce image change to screen readers
+        if (this.isOpen && window.announceToScreenReader) {
+            const announcement = `Image ${this.currentIndex + 1} of ${images.length}: ${image.description || image.alt || 'Gallery image'}`;
+            window.announceToScreenReader(announcement, 'polite');
+        }
+    }
+
+    /**
+     * Fill the details panel from the image's data
+     * @description Rows without data are left out.
+     * @param {Object} image - Image data
+     */
+    renderDetails(image) {
+        const details = this.elements.details;
+        if (!details) return;
+
+        const category = this.getCategory(image.category || 'other');
+        const date = image.date ? formatDate(image.date) : image.year;
+        const text = value => (value ? escapeHtml(String(value)) : '');
+        const rows = [
+            ['Category', text([category.icon, category.label].filter(Boolean).join(' '))],
+            ['Date', text(date)],
+            ['Event', text(image.event)],
+            ['People', this.renderPeople(image.people)],
+            ['Photographer', text(image.photographer)],
+            ['Dimensions', text(image.width && image.height ? `${image.width} × ${image.height} px` : '')]
+        ];
+
+        details.innerHTML = rows
+            .filter(([, html]) => html)
+            .map(([term, html]) => `<dt>${term}</dt><dd>${html}</dd>`)
+            .join('');
+    }
+
+    /**
+     * Build the list of tagged people, each linking to their team page card
+     * @param {Array<string>} [ids] - Person ids from the image's "people"
+     * @returns {string} Comma-separated links, or '' if nobody is tagged
+     */
+    renderPeople(ids) {
+        return (ids || [])
+            .map(id => this.getPerson(id))
+            .map(person => `<a class="lightbox-person" href="${CONFIG.teamPageUrl}#person-${encodeURIComponent(person.id)}"${person.role ? ` title="${escapeHtml(person.role)}"` : ''}>${escapeHtml(person.name)}</a>`)
+            .join(', ');
+    }
+
+    /**
+     * Show or hide the details panel
+     * @param {boolean} [force] - Open (true) or close (false); toggles when omitted
+     */
+    toggleInfo(force) {
+        const panel = this.elements.panel;
+        if (!panel) return;
+
+        const open = force ?? panel.hidden;
+        if (open) {
+            this.toggleArticle(false);
+        }
+        panel.hidden = !open;
+        this.elements.infoToggle?.setAttribute('aria-expanded', String(open));
+        this.updatePanelState();
+    }
+
+    /**
+     * Show or hide the "Read article" transcript beside the scan
+     * @param {boolean} [force] - Open (true) or close (false); toggles when omitted
+     */
+    toggleArticle(force) {
+        const article = this.elements.article;
+        if (!article) return;
+
+        const image = this.getFilteredImages()?.[this.currentIndex];
+        const open = (force ?? article.hidden) && Boolean(image && getTranscripts(image).length);
+        if (open) {
+            this.toggleInfo(false);
+        }
+        article.hidden = !open;
+        this.elements.readToggle?.setAttribute('aria-expanded', String(open));
+        this.updatePanelState();
+    }
+
+    /**
+     * Make room for whichever side panel is open
+     */
+    updatePanelState() {
+        const isOpen = [this.elements.panel, this.elements.article].some(panel => panel && !panel.hidden);
+        this.elements.lightbox?.classList.toggle('has-panel', isOpen);
+    }
+
+    /**
+     * Fill the article view with the current clipping's transcript
+     * @description The read button only shows for items with a transcript, and the
+     *              language switch only when both English and Telugu are available.
+     * @param {Object} [image] - Image data
+     */
+    renderArticle(image) {
+        const transcripts = image ? getTranscripts(image) : [];
+        const { readToggle, articleText, articleLanguages } = this.elements;
+
+        if (readToggle) {
+            readToggle.hidden = transcripts.length === 0;
+        }
+        if (transcripts.length === 0) {
+            this.toggleArticle(false);
+            return;
+        }
+
+        const transcript = transcripts.find(entry => entry.lang === this.transcriptLanguage) || transcripts[0];
+
+        if (articleLanguages) {
+            articleLanguages.hidden = transcripts.length < 2;
+            articleLanguages.querySelectorAll('[data-lang]').forEach(button => {
+                const isActive = button.getAttribute('data-lang') === transcript.lang;
+                button.classList.toggle('active', isActive);
+                button.setAttribute('aria-pressed', String(isActive));
+            });
+        }
+
+        if (articleText) {
+            articleText.lang = transcript.lang;
+            articleText.innerHTML = transcript.text
+                .split(/\n\s*\n/)
+                .map(paragraph => `<p>${escapeHtml(paragraph.trim())}</p>`)
+                .join('');
+        }
+    }
+
+    /**
+     * Check whether the lightbox is currently fullscreen
+     * @returns {boolean} True if the lightbox is the fullscreen element
+     */
+    isFullscreen() {
+        const element = document.fullscreenElement || document.webkitFullscreenElement;
+        return Boolean(element) && element === this.elements.lightbox;
+    }
+
+    /**
+     * Enter or leave fullscreen with the Fullscreen API
+     */
+    toggleFullscreen() {
+        const lightbox = this.elements.lightbox;
+        if (!lightbox) return;
+
+        const request = this.isFullscreen()
+            ? (document.exitFullscreen || document.webkitExitFullscreen)?.call(document)
+            : (lightbox.requestFullscreen || lightbox.webkitRequestFullscreen)?.call(lightbox);
+
+        // Rejected when the browser refuses, e.g. outside a user gesture
+        Promise.resolve(request).catch((error) => {
+            if (window.logWarn) {
+                window.logWarn('Fullscreen toggle failed', { error: error?.message });
+            }
+        });
+    }
+
+    /**
+     * Sync the fullscreen button with the document's fullscreen state
+     */
+    updateFullscreenButton() {
+        const button = this.elements.fullscreen;
+        if (!button) return;
+
+        const active = this.isFullscreen();
+        button.classList.toggle('is-fullscreen', active);
+        button.setAttribute('aria-pressed', String(active));
+        button.setAttribute('aria-label', active ? 'Exit fullscreen' : 'Enter fullscreen');
+    }
+
+    /**
+     * Check whether the keyboard shortcut overlay is showing
+     * @returns {boolean} True if the help overlay is open
+     */
+    isHelpOpen() {
+        return Boolean(this.elements.help && !this.elements.help.hidden);
+    }
+
+    /**
+     * Show or hide the keyboard shortcut overlay
+     * @param {boolean} [force] - Open (true) or close (false); toggles when omitted
+     */
+    toggleHelp(force) {
+        const help = this.elements.help;
+        if (!help) return;
+
+        const open = force ?? help.hidden;
+        if (open === !help.hidden) return;
+
+        help.hidden = !open;
+        if (open) {
+            this.elements.helpClose?.focus();
+        } else if (this.isOpen) {
+            this.elements.close?.focus();
+        }
+    }
+
+    /**
+     * Star or unstar the current photo
+     */
+    toggleFavourite() {
+        const image = this.getFilteredImages()?.[this.currentIndex];
+        if (!this.favourites || !image || !image.id) return;
+
+        const isFavourite = this.favourites.toggle(image.id);
+        showToast(isFavourite ? 'Added to your favourites' : 'Removed from your favourites');
+    }
+
+    /**
+     * Sync the favourite button with the current photo
+     */
+    updateFavouriteButton() {
+        const button = this.elements.favourite;
+        const image = this.getFilteredImages()?.[this.currentIndex];
+        if (!button || !this.favourites || !image) return;
+
+        button.setAttribute('aria-pressed', String(this.favourites.has(image.id)));
+    }
+
+    /**
+     * Share the current photo
+     * @description Uses the Web Share API with a link to the photo and, if
+     *              prepareShareFile() has downloaded it by the time the button is
+     *              clicked, the photo itself. Falls back to copying the link to the
+     *              clipboard.
+     */
+    async share() {
+        const image = this.getFilteredImages()?.[this.currentIndex];
+        if (!image || !image.id) return;
+
+        // Waiting for the download here would use up the click's user activation
+        const file = this.shareFile?.id === image.id ? this.shareFile.file : null;
+        const shareData = { title: CONFIG.shareTitle, text: image.description || '', url: getPhotoUrl(image) };
+        await shareLink(shareData, file);
+    }
+
+    /**
+     * Download the photo on screen as a File, ready for the share button
+     * @description Started when the pointer or focus reaches the button, so photos are
+     *              only downloaded twice for people about to share them. The medium
+     *              variant is shared where there is one - it is a fraction of the original.
+     * @param {Object} image - Image data
+     * @returns {Promise<void>} Resolves when the download has finished or failed
+     */
+    async prepareShareFile(image) {
+        if (this.shareFile?.id === image.id) return;
+        this.cancelShareFile();
+
+        // Videos are too large to attach - share the link only
+        if (!this.elements.share || !navigator.share || !navigator.canShare || typeof File === 'undefined'
+            || !image.id || image.type === 'video') return;
+
+        const shareFile = { id: image.id, file: null, controller: new AbortController() };
+        this.shareFile = shareFile;
+
+        const src = image.variants?.medium?.jpeg || image.path;
+
+        try {
+            const response = await fetch(src, { signal: shareFile.controller.signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const blob = await response.blob();
+            const filename = getDownloadFilename(image, this.getCategory(image.category || 'other').label, src);
+            shareFile.file = new File([blob], filename, { type: blob.type || 'image/jpeg' });
+        } catch (error) {
+            // Cancelled or offline - the link is shared on its own, and the next attempt retries
+            if (this.shareFile === shareFile) {
+                this.shareFile = null;
+            }
+        }
+    }
+
+    /**
+     * Stop downloading the share file and forget it
+     */
+    cancelShareFile() {
+        this.shareFile?.controller.abort();
+        this.shareFile = null;
+    }
+
+    /**
+     * Point the lightbox picture at an image's responsive variants
+     * @description Shows the grid thumbnail straight away and cross-fades to the full
+     *              image once it has decoded. Responses for photos the user has already
+     *              navigated past are ignored, and neighbours are preloaded afterwards.
+     * @param {Object} image - Image data
+     */
+    setImageSource(image) {
+        const { image: img, sourceAvif, sourceWebp, placeholder } = this.elements;
+        const srcsets = getImageSrcsets(image);
+        const token = ++this.loadToken;
+
+        // Neighbour preloads resume once this photo has loaded
+        this.cancelPreloads(new Set([image.id]));
+
+        if (placeholder) {
+            const thumbnail = getLoadedThumbnail(image);
+            if (thumbnail) {
+                placeholder.src = thumbnail;
+            } else {
+                placeholder.removeAttribute('src');
+            }
+        }
+        this.setLoadingState('loading');
+
+        [[sourceAvif, 'avif'], [sourceWebp, 'webp']].forEach(([source, format]) => {
+            if (!source) return;
+            if (srcsets) {
+                source.srcset = srcsets[format];
+                source.sizes = CONFIG.lightboxImageSizes;
+            } else {
+                source.removeAttribute('srcset');
+            }
+        });
+
+        if (srcsets) {
+            img.srcset = srcsets.jpeg;
+            img.sizes = CONFIG.lightboxImageSizes;
+        } else {
+            img.removeAttribute('srcset');
+        }
+        // Assigning a new src also aborts the previous photo's download
+        img.src = image.variants?.full?.jpeg || image.path;
+
+        if (image.width && image.height) {
+            img.width = image.width;
+            img.height = image.height;
+        } else {
+            img.removeAttribute('width');
+            img.removeAttribute('height');
+        }
+
+        img.onload = () => {
+            if (token !== this.loadToken) return;
+
+            // Wait for decode so the cross-fade doesn't start on a blank frame
+            const decoded = img.decode ? img.decode().catch(() => {}) : Promise.resolve();
+            decoded.then(() => {
+                if (token !== this.loadToken) return;
+                this.setLoadingState('loaded');
+                this.preloadNeighbours();
+            });
+        };
+
+        img.onerror = () => {
+            if (token !== this.loadToken) return;
+
+            // Variants are build output - fall back to the original if they are missing
+            if (!img.src.endsWith(image.path)) {
+                [sourceAvif, sourceWebp].forEach(source => source?.removeAttribute('srcset'));
+                img.removeAttribute('srcset');
+                img.src = image.path;
+                return;
+            }
+
+            this.setLoadingState('error');
+            if (window.logWarn) {
+                window.logWarn(`Lightbox image failed to load: ${image.path}`, { imagePath: image.path });
+            }
+            if (window.announceToScreenReader) {
+                window.announceToScreenReader('This photo could not be loaded', 'polite');
+            }
+        };
+    }
+
+    /**
+     * Load a video item into the lightbox player
+     * @description The poster shows until the viewer presses play; the native
+     *              controls handle playback, captions and fullscreen.
+     * @param {Object} image - Video item with sources and optional tracks
+     */
+    setVideoSource(image) {
+        const video = this.elements.video;
+        if (!video) return;
+
+        // Drop any photo load still in flight
+        this.loadToken++;
+        this.setLoadingState('idle');
+
+        video.poster = image.variants?.full?.jpeg || image.path;
+        video.setAttribute('aria-label', image.alt || image.description || 'Gallery video');
+
+        const sources = (image.sources || []).map(({ src, type }) => {
+            const source = document.createElement('source');
+            source.src = src;
+            source.type = type;
+            return source;
+        });
+        const tracks = (image.tracks || []).map(({ src, kind, srclang, label, default: isDefault }) => {
+            const track = document.createElement('track');
+            track.kind = kind || 'captions';
+            track.src = src;
+            track.srclang = srclang;
+            track.label = label;
+            track.default = Boolean(isDefault);
+            return track;
+        });
+
+        video.replaceChildren(...sources, ...tracks);
+        video.hidden = false;
+        video.load();
+
+        this.preloadNeighbours();
+    }
+
+    /**
+     * Pause and unload the lightbox video
+     * @description Unloading stops a hidden video from carrying on downloading.
+     */
+    stopVideo() {
+        const video = this.elements.video;
+        if (!video || video.hidden) return;
+
+        video.pause();
+        video.hidden = true;
+        video.replaceChildren();
+        video.removeAttribute('poster');
+        video.load();
+    }
+
+    /**
+     * Check whether the lightbox is showing a video
+     * @returns {boolean} True if the current item is a video
+     */
+    isShowingVideo() {
+        return Boolean(this.elements.video && !this.elements.video.hidden);
+    }
+
+    /**
+     * Check whether the lightbox video is playing
+     * @returns {boolean} True while a video plays
+     */
+    isVideoPlaying() {
+        const video = this.elements.video;
+        return Boolean(video && !video.hidden && !video.paused && !video.ended);
+    }
+
+    /**
+     * Play or pause the lightbox video
+     */
+    toggleVideo() {
+        const video = this.elements.video;
+        if (!video || video.hidden) return;
+
+        if (video.paused) {
+            // Rejected if the browser blocks playback - the controls remain available
+            video.play()?.catch(() => {});
+        } else {
+            video.pause();
+        }
+    }
+
+    /**
+     * Reflect the current photo's load state on the lightbox
+     * @param {string} state - 'loading', 'loaded', 'error' or 'idle'
+     */
+    setLoadingState(state) {
+        this.isLoading = state === 'loading';
+
+        const lightbox = this.elements.lightbox;
+        lightbox?.classList.toggle('is-loading', state === 'loading');
+        lightbox?.classList.toggle('has-error', state === 'error');
+        lightbox?.setAttribute('aria-busy', String(state === 'loading'));
+
+        if (this.elements.error) {
+            this.elements.error.hidden = state !== 'error';
+        }
+    }
+
+    /**
+     * Preload the previous and next photos in the current sequence
+     * @description Preloads that are no longer neighbours are cancelled so fast
+     *              navigation doesn't queue up downloads for skipped photos.
+     */
+    preloadNeighbours() {
+        const images = this.getFilteredImages() || [];
+        if (images.length < 2) return;
+
+        const neighbours = [
+            images[(this.currentIndex + 1) % images.length],
+            images[(this.currentIndex - 1 + images.length) % images.length]
+        ].filter(image => image && image.id);
+        const wanted = new Set(neighbours.map(image => image.id));
+
+        this.cancelPreloads(wanted);
+
+        neighbours.forEach(image => {
+            if (this.preloads.has(image.id)) return;
+
+            // A detached <picture> picks the same format and width as the lightbox
+            const picture = document.createElement('picture');
+            const srcsets = getImageSrcsets(image);
+            if (srcsets) {
+                ['avif', 'webp'].forEach(format => {
+                    const source = document.createElement('source');
+                    source.type = `image/${format}`;
+                    source.srcset = srcsets[format];
+                    source.sizes = CONFIG.lightboxImageSizes;
+                    picture.appendChild(source);
+                });
+            }
+
+            const img = document.createElement('img');
+            img.decoding = 'async';
+            img.fetchPriority = 'low';
+            if (srcsets) {
+                img.srcset = srcsets.jpeg;
+                img.sizes = CONFIG.lightboxImageSizes;
+            }
+            picture.appendChild(img);
+            img.src = image.variants?.full?.jpeg || image.path;
+
+            this.preloads.set(image.id, img);
+        });
+    }
+
+    /**
+     * Cancel unfinished neighbour preloads
+     * @param {Set<string>} [keep] - Image ids whose preloads should continue
+     */
+    cancelPreloads(keep = new Set()) {
+        this.preloads.forEach((img, id) => {
+            if (keep.has(id)) return;
+            if (!img.complete) {
+                img.removeAttribute('srcset');
+                img.removeAttribute('src');
+            }
+            this.preloads.delete(id);
+        });
+    }
+
+    /**
+     * Write the current photo id to the URL hash
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing
+     * @returns {boolean} True if the URL was updated
+     */
+    syncUrl({ replace = false } = {}) {
+        const image = this.getFilteredImages()?.[this.currentIndex];
+        if (!image || !image.id) return false;
+
+        const params = getHashParams();
+        params.set('photo', image.id);
+        setHashParams(params, { replace });
+        return true;
+    }
+
+    /**
+     * Show next image
+     */
+    next() {
+        const images = this.getFilteredImages();
+        if (!images || images.length === 0) return;
+
         this.currentIndex = (this.currentIndex + 1) % images.length;
         this.update();
+        this.syncUrl({ replace: true });
+    }
+
+    /**
+     * Show the image at a position in the current sequence
+     * @param {number} index - Position to show
+     */
+    goTo(index) {
+        const images = this.getFilteredImages();
+        if (!images || !images[index] || index === this.currentIndex) return;
+
+        this.currentIndex = index;
+        this.update();
+        this.syncUrl({ replace: true });
+    }
+
+    /**
+     * Show previous image
+     */
+    previous() {
+        const images = this.getFilteredImages();
+        if (!images || images.length === 0) return;
+
+        this.currentIndex = (this.currentIndex - 1 + images.length) % images.length;
+        this.update();
+        this.syncUrl({ replace: true });
+    }
+}
+
+/* ============================================
+   PRINT PREVIEW CLASS
+   ============================================ */
+
+/**
+ * Print-ready album for one category
+ * @class PrintPreview
+ * @description Fills the #galleryPrint page - organisation header, category title,
+ *              print date and a captioned photo grid - which replaces the gallery
+ *              while the #print=<category> route is active. gallery-print.css lays
+ *              it out for A4 paper.
+ */
+class PrintPreview {
+    /**
+     * @param {Object} [options] - Options
+     * @param {Function} [options.onBack] - Called when "Back to gallery" is pressed
+     */
+    constructor({ onBack } = {}) {
+        this.onBack = onBack;
+        this.category = null;
+        this.documentTitle = document.title;
+
+        this.elements = {
+            root: document.getElementById('galleryPrint'),
+            title: document.getElementById('galleryPrintTitle'),
+            description: document.getElementById('galleryPrintDescription'),
+            meta: document.getElementById('galleryPrintMeta'),
+            grid: document.getElementById('galleryPrintGrid'),
+            back: document.getElementById('galleryPrintBack'),
+            print: document.getElementById('galleryPrintButton')
+        };
+
+        this.elements.back?.addEventListener('click', () => this.onBack?.());
+        this.elements.print?.addEventListener('click', () => this.print());
+    }
+
+    /**
+     * Check whether the preview is showing
+     * @returns {boolean} True while a category album is shown
+     */
+    isOpen() {
+        return this.category !== null;
+    }
+
+    /**
+     * Show the album for a category in place of the gallery
+     * @param {Object} info - Category info from normalizeCategory
+     * @param {Array<Object>} images - The category's images, in display order
+     */
+    show(info, images) {
+        const { root, title, description, meta, grid } = this.elements;
+        if (!root || !grid) return;
+
+        this.category = info.key;
+
+        if (title) {
+            title.textContent = info.label;
+        }
+        if (description) {
+            description.textContent = info.description;
+            description.hidden = !info.description;
+        }
+        if (meta) {
+            meta.textContent = `${images.length} ${images.length === 1 ? 'photo' : 'photos'} · Printed on ${formatDate(new Date())}`;
+        }
+
+        grid.innerHTML = images.map(image => this.renderItem(image)).join('');
+
+        // Browsers use the title as the default name when saving as PDF
+        document.title = `${info.label} - Photo Album - Vidya Chaitanya Samakhya`;
+        document.body.classList.add('is-print-preview');
+        root.hidden = false;
+
+        window.scrollTo(0, 0);
+        title?.focus();
+    }
+
+    /**
+     * Build the markup for one captioned photo
+     * @param {Object} image - Image data
+     * @returns {string} Figure HTML
+     */
+    renderItem(image) {
+        // The 1024px variant is sharp at print size without the weight of the original
+        const src = image.variants?.medium?.jpeg || image.path;
+        const dimensions = image.width && image.height ? `width="${image.width}" height="${image.height}"` : '';
+        const meta = [image.date ? formatDate(image.date) : image.year, image.type === 'video' ? 'Video' : '', image.id]
+            .filter(Boolean)
+            .map(part => escapeHtml(String(part)));
+
+        return `
+            <figure class="gallery-print-item">
+                <img src="${escapeHtml(src)}" ${dimensions} alt="${escapeHtml(image.alt || image.description || 'Gallery image')}" decoding="async">
+                <figcaption>
+                    <span class="gallery-print-caption">${escapeHtml(image.description || '')}</span>
+                    <span class="gallery-print-item-meta">${meta.join(' · ')}</span>
+                </figcaption>
+            </figure>
+        `;
+    }
+
+    /**
+     * Hide the preview and show the gallery again
+     * @returns {string|null} Category that was shown, or null if the preview was closed
+     */
+    hide() {
+        if (!this.isOpen()) return null;
+
+        const category = this.category;
+        this.category = null;
+
+        if (this.elements.root) {
+            this.elements.root.hidden = true;
+        }
+        if (this.elements.grid) {
+            this.elements.grid.innerHTML = '';
+        }
+        document.body.classList.remove('is-print-preview');
+        document.title = this.documentTitle;
+
+        return category;
+    }
+
+    /**
+     * Open the print dialog once every photo has loaded
+     */
+    async print() {
+        const images = [...(this.elements.grid?.querySelectorAll('img') || [])];
+
+        // Photos still loading would print as blank boxes
+        await Promise.all(images.map(img => img.complete ? null : new Promise(resolve => {
+            img.addEventListener('load', resolve, { once: true });
+            img.addEventListener('error', resolve, { once: true });
+        })));
+
+        window.print();
+    }
+}
+
+/* ============================================
+   GALLERY MANAGER CLASS
+   ============================================ */
+
+/**
+ * Gallery Manager Class
+ * @description Main gallery manager that coordinates all gallery functionality.
+ *              Handles data loading, rendering, and initialization of sub-components.
+ * @class
+ */
+class GalleryManager {
+    constructor() {
+        this.allImages = [];
+        this.categories = {};
+        this.visibleImages = [];
+        this.categoryOrder = [];
+        this.activeCategory = 'all';
+        this.searchTerms = [];
+        this.collection = [];
+        this.albumIds = null;
+        this.people = new Map();
+        this.activePerson = null;
+        this.view = this.getStoredView();
+        this.chunks = [];
+        this.groupImages = new Map();
+        this.imageLoader = new ImageLoader();
+        this.layout = new GalleryLayout(index => this.allImages[index]);
+        this.favourites = new FavouritesStore({ onChange: () => this.updateFavourites() });
+        this.printPreview = new PrintPreview({ onBack: () => this.closePrintPreview() });
+        this.printHistoryPushed = false;
+
+        this.elements = {
+            container: document.getElementById('galleryContainer'),
+            filters: document.getElementById('galleryFilters'),
+            search: document.getElementById('gallerySearch'),
+            noResults: document.getElementById('galleryNoResults'),
+            noResultsMessage: document.getElementById('galleryNoResultsMessage'),
+            clearSearch: document.getElementById('galleryClearSearch'),
+            viewToggle: document.getElementById('galleryViewToggle'),
+            albumBar: document.getElementById('galleryAlbumBar'),
+            albumTitle: document.getElementById('galleryAlbumTitle'),
+            albumSave: document.getElementById('galleryAlbumSave'),
+            albumShare: document.getElementById('galleryAlbumShare'),
+            personFilter: document.getElementById('galleryPersonFilter'),
+            personName: document.getElementById('galleryPersonName'),
+            personRole: document.getElementById('galleryPersonRole'),
+            personClear: document.getElementById('galleryPersonClear')
+        };
+
+        // Lightbox walks the images in the order shown on the page, scoped to the active filter
+        this.lightboxController = new LightboxController(() => this.visibleImages, {
+            onClose: (image) => this.focusImage(image.originalIndex),
+            getCategory: (category) => this.getCategory(category),
+            favourites: this.favourites,
+            getPerson: (id) => this.getPerson(id)
+        });
+    }
+
+    /**
+     * Initialize gallery
+     */
+    async init() {
+        try {
+            // The registry is optional - loadPeople() never rejects
+            await Promise.all([this.loadData(), this.loadPeople()]);
+            this.categoryOrder = Object.keys(this.groupImagesByCategory());
+            this.renderGallery();
+            this.renderFilters();
+            this.initAlbumBar();
+            this.initPersonFilter();
+            this.initSearch();
+            this.initViewToggle();
+            this.applyUrlState();
+
+            // Restore filter and photo state on back/forward navigation
+            window.addEventListener('popstate', () => this.applyUrlState());
+        } catch (error) {
+            const errorMessage = error.message || 'Failed to load gallery';
+            
+            // Use error handler if available
+            if (window.ErrorHandler) {
+                window.ErrorHandler.handleError({
+                    message: errorMessage,
+                    error,
+                    type: 'Gallery Initialization Error',
+                    context: { 
+                        module: 'gallery.js',
+                        action: 'init'
+                    },
+                    showUser: false // We'll show our own UI
+                });
+            } else {
+                console.error('Gallery initialization failed:', error);
+            }
+
+            // Show user-friendly error in gallery container - unless the pre-rendered
+            // gallery is still in place, which shows every photo without the script
+            const container = this.elements.container;
+            if (container && !container.hasAttribute('data-prerendered')) {
+                showError(container, errorMessage, error);
+            }
+        }
+    }
+
+    /**
+     * Load gallery data from JSON
+     */
+    async loadData() {
+        try {
+            const response = await fetch(CONFIG.dataUrl);
+
+            if (!response.ok) {
+                const error = new Error(`HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                
+                // Log error
+                if (window.ErrorHandler) {
+                    window.ErrorHandler.handleError({
+                        message: `Failed to load gallery data: ${response.status}`,
+                        error,
+                        type: 'Network Error',
+                        context: { 
+                            url: CONFIG.dataUrl,
+                            status: response.status
+                        },
+                        showUser: false
+                    });
+                }
+                
+                throw error;
+            }
+
+            const data = await response.json();
+            this.allImages = data.images || [];
+            this.categories = {};
+            Object.entries(data.categories || {}).forEach(([key, value]) => {
+                this.categories[key] = normalizeCategory(key, value);
+            });
+
+            if (this.allImages.length === 0) {
+                const error = new Error('No images found in data');
+                
+                if (window.ErrorHandler) {
+                    window.ErrorHandler.handleError({
+                        message: 'Gallery data is empty',
+                        error,
+                        type: 'Data Error',
+                        context: { url: CONFIG.dataUrl },
+                        showUser: false
+                    });
+                }
+                
+                throw error;
+            }
+
+            // Log success
+            if (window.logInfo) {
+                window.logInfo(`Gallery loaded: ${this.allImages.length} images`, {
+                    categories: Object.keys(
+                        this.allImages.reduce((acc, img) => {
+                            acc[img.category || 'other'] = true;
+                            return acc;
+                        }, {})
+                    )
+                });
+            }
+        } catch (error) {
+            // Re-throw to be handled by init()
+            throw error;
+        }
+    }
+
+    /**
+     * Load the people registry used to name tagged people
+     * @description Optional - without it tagged people are shown by their ids.
+     */
+    async loadPeople() {
+        try {
+            const response = await fetch(CONFIG.peopleUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.people = new Map((data.people || []).map(person => [person.id, person]));
+        } catch (error) {
+            if (window.logWarn) {
+                window.logWarn('People registry could not be loaded', { url: CONFIG.peopleUrl, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Get display info for a tagged person
+     * @param {string} id - Person id
+     * @returns {Object} Person from people.json, or info named after the id
+     */
+    getPerson(id) {
+        return this.people.get(id) || getUnknownPerson(id);
+    }
+
+    /**
+     * Render gallery grid grouped by categories
+     */
+    renderGallery() {
+        const container = document.getElementById('galleryContainer');
+        if (!container) {
+            const error = new Error('Gallery container not found');
+            if (window.ErrorHandler) {
+                window.ErrorHandler.handleError({
+                    message: 'Gallery container element missing',
+                    error,
+                    type: 'DOM Error',
+                    showUser: true
+                });
+            }
+            return;
+        }
+
+        if (this.allImages.length === 0) {
+            showError(container, 'No images found', new Error('Empty image array'));
+            return;
+        }
+
+        this.chunks = [];
+        this.groupImages.clear();
+        this.layout.reset();
+
+        // Markup pre-rendered into gallery.html (scripts/prerender-gallery.js) is reused on first render
+        const prerendered = container.hasAttribute('data-prerendered');
+        const imagesByCategory = prerendered && this.view === 'category' ? this.groupImagesByCategory() : null;
+        container.removeAttribute('data-prerendered');
+
+        if (imagesByCategory && this.canHydrate(container, imagesByCategory)) {
+            this.hydrateCategorySections(container, imagesByCategory);
+        } else {
+            if (prerendered && window.logWarn && imagesByCategory) {
+                window.logWarn('Pre-rendered gallery is out of date - rendering from data', { url: CONFIG.dataUrl });
+            }
+
+            container.innerHTML = '';
+            if (this.view === 'timeline') {
+                this.renderTimeline(container);
+            } else {
+                this.renderCategorySections(container);
+            }
+        }
+
+        // Initialize lazy loading for the initially rendered items
+        const items = container.querySelectorAll('.gallery-item[data-index]');
+        this.imageLoader.observe(items);
+
+        this.applyFilters();
+    }
+
+    /**
+     * Render the by-category view: one section per category
+     * @param {HTMLElement} container - Gallery container
+     */
+    renderCategorySections(container) {
+        const imagesByCategory = this.groupImagesByCategory();
+        this.orderedImages = Object.values(imagesByCategory).flat();
+
+        // Render each category section
+        this.categoryOrder.forEach((category) => {
+            const images = imagesByCategory[category];
+            const info = this.getCategory(category);
+            const cover = info.cover && this.allImages.find(image => image.id === info.cover);
+            const section = createElementFromHtml(renderCategorySection(info, { count: images.length, cover }));
+
+            const grid = this.initCategorySection(section, category, images);
+            this.appendGalleryItems(grid, images);
+            container.appendChild(section);
+        });
+    }
+
+    /**
+     * Attach a category section's print button and register it for filtering and layout
+     * @param {HTMLElement} section - Category section element
+     * @param {string} category - Category key
+     * @param {Array<Object>} images - The section's images with originalIndex, in display order
+     * @returns {HTMLElement} The section's grid
+     */
+    initCategorySection(section, category, images) {
+        this.groupImages.set(section, images);
+        section.querySelector('.gallery-print-button')?.addEventListener('click', () => this.openPrintPreview(category));
+
+        const grid = section.querySelector('.gallery-grid');
+        this.layout.register(grid, this.getCategory(category).layout);
+        return grid;
+    }
+
+    /**
+     * Check that the markup pre-rendered into gallery.html matches the loaded data
+     * @description The markup is regenerated on deploy, but a copy that has fallen behind
+     *              the data (edited without `npm run build:gallery`) or the templates here
+     *              is rendered afresh. Category labels and each item's label, alt text and
+     *              thumbnail are compared with what this script would render.
+     * @param {HTMLElement} container - Gallery container
+     * @param {Object<string, Array<Object>>} imagesByCategory - Images from groupImagesByCategory()
+     * @returns {boolean} True if every section and item is where the data puts it
+     */
+    canHydrate(container, imagesByCategory) {
+        const sections = [...container.querySelectorAll(':scope > .gallery-category-section')];
+        const categories = Object.keys(imagesByCategory);
+        if (sections.length !== categories.length) return false;
+
+        return sections.every((section, i) => {
+            const images = imagesByCategory[categories[i]];
+            const items = [...(section.querySelector('.gallery-grid')?.children || [])];
+            const printLabel = section.querySelector('.gallery-print-button')?.getAttribute('aria-label');
+
+            return section.getAttribute('data-category') === categories[i] &&
+                printLabel === `Print album: ${this.getCategory(categories[i]).label}` &&
+                items.length === images.length &&
+                items.every((item, j) => this.isItemRendered(item, images[j]));
+        });
+    }
+
+    /**
+     * Check that a pre-rendered gallery item shows an image as this script would
+     * @param {HTMLElement} item - Pre-rendered gallery item
+     * @param {Object} image - Image data with originalIndex
+     * @returns {boolean} True if the item's index, label, alt text and thumbnail match
+     */
+    isItemRendered(item, image) {
+        const button = item.querySelector('[role="button"]');
+        const img = button?.querySelector('img');
+        const content = getGalleryItemContent(image);
+
+        return Number(item.getAttribute('data-index')) === image.originalIndex &&
+            img !== null && img !== undefined &&
+            button.getAttribute('aria-label') === content.label &&
+            img.getAttribute('alt') === content.alt &&
+            img.getAttribute('src') === content.src;
+    }
+
+    /**
+     * Take over the category sections pre-rendered into gallery.html
+     * @description The sections and items are kept as they are; only their behaviour is
+     *              attached. Every item is in the page, so those past the first batch of
+     *              each category are removed and queued behind "Show all", as
+     *              renderCategorySections() would have left them.
+     * @param {HTMLElement} container - Gallery container
+     * @param {Object<string, Array<Object>>} imagesByCategory - Images from groupImagesByCategory()
+     */
+    hydrateCategorySections(container, imagesByCategory) {
+        this.orderedImages = Object.values(imagesByCategory).flat();
+
+        container.querySelectorAll(':scope > .gallery-category-section').forEach(section => {
+            const category = section.getAttribute('data-category');
+            const images = imagesByCategory[category];
+            const grid = this.initCategorySection(section, category, images);
+            const items = [...grid.children];
+            const chunk = this.addChunk(grid, images, Math.min(items.length, CONFIG.initialItemsPerGroup));
+
+            items.slice(chunk.rendered).forEach(item => item.remove());
+            items.slice(0, chunk.rendered).forEach((item, i) => this.initGalleryItem(item, images[i], images[i].originalIndex));
+            this.updateShowAllButton(chunk);
+            this.layout.apply(grid);
+        });
+    }
+
+    /**
+     * Render the timeline view: year headers with one card per event
+     * @param {HTMLElement} container - Gallery container
+     */
+    renderTimeline(container) {
+        const years = this.groupImagesByYear();
+        this.orderedImages = years.flatMap(year => year.events.flatMap(event => event.images));
+
+        const timeline = document.createElement('div');
+        timeline.className = 'gallery-timeline';
+
+        years.forEach(({ year, events }) => {
+            const count = events.reduce((sum, event) => sum + event.images.length, 0);
+            const yearSection = document.createElement('section');
+            yearSection.className = 'gallery-timeline-year';
+            this.groupImages.set(yearSection, events.flatMap(event => event.images));
+
+            yearSection.innerHTML = `
+                <h2 class="gallery-timeline-year-title">
+                    <span>${year === null ? 'Undated' : year}</span>
+                    <span class="gallery-category-count" data-group-count>${count}</span>
+                </h2>
+                <div class="gallery-timeline-events"></div>
+            `;
+
+            const eventList = yearSection.querySelector('.gallery-timeline-events');
+
+            events.forEach(event => {
+                const info = this.getCategory(event.category);
+                const card = document.createElement('article');
+                card.className = 'gallery-timeline-event';
+                this.groupImages.set(card, event.images);
+
+                card.innerHTML = `
+                    <header class="gallery-timeline-event-header">
+                        <h3 class="gallery-timeline-event-title">
+                            <span>${escapeHtml(event.name)}</span>
+                            <span class="gallery-category-count" data-group-count>${event.images.length}</span>
+                        </h3>
+                        <p class="gallery-timeline-event-meta">
+                            ${event.date ? `<time datetime="${escapeHtml(event.date)}">${escapeHtml(formatDate(event.date))}</time> · ` : ''}
+                            ${info.icon ? `<span aria-hidden="true">${escapeHtml(info.icon)}</span>` : ''}
+                            <span>${escapeHtml(info.label)}</span>
+                        </p>
+                    </header>
+                    <div class="gallery-timeline-strip"></div>
+                `;
+
+                this.appendGalleryItems(card.querySelector('.gallery-timeline-strip'), event.images);
+                eventList.appendChild(card);
+            });
+
+            timeline.appendChild(yearSection);
+        });
+
+        container.appendChild(timeline);
+    }
+
+    /**
+     * Render the first items of a group into its grid, queueing the rest
+     * @description Keeps the initial DOM bounded for large galleries. The remaining
+     *              items are rendered on demand by a "Show all" button after the grid.
+     * @param {HTMLElement} grid - Grid or strip element
+     * @param {Array<Object>} images - Images with originalIndex, in display order
+     */
+    appendGalleryItems(grid, images) {
+        const chunk = this.addChunk(grid, images, 0);
+        this.renderItems(chunk, CONFIG.initialItemsPerGroup);
+    }
+
+    /**
+     * Track a group's render state and add its "Show all" button
+     * @param {HTMLElement} grid - Grid or strip element
+     * @param {Array<Object>} images - Images with originalIndex, in display order
+     * @param {number} rendered - Number of items already in the grid
+     * @returns {Object} Group render state
+     */
+    addChunk(grid, images, rendered) {
+        const chunk = { grid, images, rendered, button: null };
+        this.chunks.push(chunk);
+
+        if (images.length > CONFIG.initialItemsPerGroup) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'gallery-show-all';
+            button.addEventListener('click', () => this.showAll(chunk));
+            grid.after(button);
+            chunk.button = button;
+        }
+
+        return chunk;
+    }
+
+    /**
+     * Render a group's queued items up to a position
+     * @param {Object} chunk - Group render state from appendGalleryItems()
+     * @param {number} end - Position (exclusive) within the group to render up to
+     * @returns {Array<HTMLElement>} Newly rendered items
+     */
+    renderItems(chunk, end) {
+        const items = [];
+        const fragment = document.createDocumentFragment();
+
+        chunk.images.slice(chunk.rendered, end).forEach((imageData) => {
+            try {
+                const item = this.createGalleryItem(imageData, imageData.originalIndex);
+                this.applyItemState(item);
+                fragment.appendChild(item);
+                items.push(item);
+            } catch (error) {
+                // Log error but continue rendering other items
+                if (window.ErrorHandler) {
+                    window.ErrorHandler.handleError({
+                        message: `Failed to create gallery item: ${imageData.path}`,
+                        error,
+                        type: 'Gallery Item Error',
+                        context: { imagePath: imageData.path },
+                        showUser: false
+                    });
+                }
+            }
+        });
+
+        chunk.rendered = Math.min(Math.max(chunk.rendered, end), chunk.images.length);
+        chunk.grid.appendChild(fragment);
+        this.updateShowAllButton(chunk);
+        this.layout.apply(chunk.grid);
+
+        return items;
+    }
+
+    /**
+     * Render the rest of a group in animation-frame sized chunks
+     * @description Focus moves from the button to the first new photo so keyboard
+     *              users carry on from where they were.
+     * @param {Object} chunk - Group render state from appendGalleryItems()
+     */
+    showAll(chunk) {
+        const keepFocus = chunk.button && document.activeElement === chunk.button;
+
+        const renderNext = () => {
+            const items = this.renderItems(chunk, chunk.rendered + CONFIG.renderChunkSize);
+            this.imageLoader.observe(items, 0);
+
+            if (chunk.rendered < chunk.images.length) {
+                requestAnimationFrame(renderNext);
+            }
+        };
+
+        const firstNew = chunk.rendered;
+        renderNext();
+
+        if (keepFocus) {
+            const next = chunk.images.slice(firstNew).find(image => this.isImageVisible(image));
+            if (next) {
+                this.getItemButton(next.originalIndex)?.focus();
+            }
+        }
+    }
+
+    /**
+     * Update or remove a group's "Show all" button
+     * @param {Object} chunk - Group render state from appendGalleryItems()
+     */
+    updateShowAllButton(chunk) {
+        const button = chunk.button;
+        if (!button) return;
+
+        if (chunk.rendered >= chunk.images.length) {
+            button.remove();
+            chunk.button = null;
+            return;
+        }
+
+        // Only offer the button while filtered-in photos are still queued
+        const visible = chunk.images.filter(image => this.isImageVisible(image));
+        button.hidden = !chunk.images.slice(chunk.rendered).some(image => this.isImageVisible(image));
+        button.textContent = `Show all ${visible.length} photos`;
+    }
+
+    /**
+     * Get the focusable element of a rendered gallery item
+     * @param {number} originalIndex - Index of the image in the gallery data
+     * @returns {HTMLElement|null} The item's button element
+     */
+    getItemButton(originalIndex) {
+        return this.elements.container?.querySelector(`.gallery-item[data-index="${originalIndex}"] [role="button"]`) || null;
+    }
+
+    /**
+     * Return focus to a photo after the lightbox closes
+     * @description The lightbox may have navigated to a photo that is still queued,
+     *              so its group is rendered up to that photo first.
+     * @param {number} originalIndex - Index of the image in the gallery data
+     */
+    focusImage(originalIndex) {
+        const chunk = this.chunks.find(({ images }) => images.some(image => image.originalIndex === originalIndex));
+        if (!chunk) return;
+
+        const position = chunk.images.findIndex(image => image.originalIndex === originalIndex);
+        if (position >= chunk.rendered) {
+            this.imageLoader.observe(this.renderItems(chunk, position + 1), 0);
+        }
+
+        this.getItemButton(originalIndex)?.focus();
+    }
+
+    /**
+     * Get display info for a category
+     * @param {string} category - Category or view key
+     * @returns {Object} Category info from the data file, or fallback info (views such as 'all')
+     */
+    getCategory(category) {
+        return this.categories[category] || normalizeCategory(category);
+    }
+
+    /**
+     * Group images by category, with categories sorted by their display order, then label
+     * @returns {Object<string, Array<Object>>} Images keyed by category, in display order
+     */
+    groupImagesByCategory() {
+        return groupImagesByCategory(this.allImages, category => this.getCategory(category));
+    }
+
+    /**
+     * Group images by year and event for the timeline, oldest first
+     * @description Images without an event are grouped by category. Undated
+     *              images are collected under a final year of null.
+     * @returns {Array<{year: (number|null), events: Array<Object>}>} Years with their events
+     */
+    groupImagesByYear() {
+        const years = new Map();
+
+        this.allImages.forEach((image, index) => {
+            const year = image.year || (image.date ? Number(image.date.slice(0, 4)) : null);
+            const category = image.category || 'other';
+            const name = image.event || this.getCategory(category).label;
+
+            if (!years.has(year)) {
+                years.set(year, new Map());
+            }
+            const events = years.get(year);
+            if (!events.has(name)) {
+                events.set(name, { name, category, date: image.date || '', images: [] });
+            }
+
+            const event = events.get(name);
+            if (!event.date && image.date) {
+                event.date = image.date;
+            }
+            event.images.push({ ...image, originalIndex: index });
+        });
+
+        return [...years.entries()]
+            .sort(([a], [b]) => (a === null) - (b === null) || a - b)
+            .map(([year, events]) => ({
+                year,
+                // Dated events first in date order, then the rest in data order
+                events: [...events.values()].sort((a, b) => {
+                    if (a.date && b.date) return a.date.localeCompare(b.date);
+                    return Boolean(b.date) - Boolean(a.date);
+                })
+            }));
+    }
+
+    /**
+     * Read the remembered view mode
+     * @returns {string} 'category' or 'timeline'
+     */
+    getStoredView() {
+        try {
+            const view = localStorage.getItem(CONFIG.viewStorageKey);
+            return GALLERY_VIEWS.includes(view) ? view : 'category';
+        } catch (error) {
+            // localStorage can be unavailable (private browsing, disabled storage)
+            return 'category';
+        }
+    }
+
+    /**
+     * Initialize the category/timeline view toggle
+     */
+    initViewToggle() {
+        const toggle = this.elements.viewToggle;
+        if (!toggle) return;
+
+        toggle.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-view]');
+            if (button) {
+                this.setView(button.getAttribute('data-view'));
+            }
+        });
+
+        this.updateViewToggle();
+    }
+
+    /**
+     * Switch between the by-category and timeline views
+     * @param {string} view - 'category' or 'timeline'
+     */
+    setView(view) {
+        if (!GALLERY_VIEWS.includes(view) || view === this.view) return;
+
+        this.view = view;
+        try {
+            localStorage.setItem(CONFIG.viewStorageKey, view);
+        } catch (error) {
+            // Not remembered, but the view still switches
+        }
+
+        this.renderGallery();
+        this.updateViewToggle();
+
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(view === 'timeline' ? 'Showing timeline view' : 'Showing photos by category', 'polite');
+        }
+    }
+
+    /**
+     * Sync the view toggle buttons with the current view
+     */
+    updateViewToggle() {
+        this.elements.viewToggle?.querySelectorAll('[data-view]').forEach(button => {
+            const isActive = button.getAttribute('data-view') === this.view;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * Render category filter chips with image counts
+     */
+    renderFilters() {
+        const filters = this.elements.filters;
+        if (!filters) return;
+
+        this.renderFilterChips();
+
+        filters.addEventListener('click', (e) => {
+            const chip = e.target.closest('.gallery-filter-chip');
+            if (!chip) return;
+            this.setCategory(chip.getAttribute('data-category'));
+        });
+    }
+
+    /**
+     * Render the chips: all photos, favourites, a shared collection if one was opened, then each category
+     */
+    renderFilterChips() {
+        const filters = this.elements.filters;
+        if (!filters) return;
+
+        const counts = this.allImages.reduce((acc, img) => {
+            const category = img.category || 'other';
+            acc[category] = (acc[category] || 0) + 1;
+            return acc;
+        }, {});
+
+        const chips = [
+            { category: 'all', label: this.getCategory('all').label, icon: '', count: this.allImages.length },
+            { category: FAVOURITES_CATEGORY, label: this.getCategory(FAVOURITES_CATEGORY).label, icon: '★', count: this.getFavouriteIds().length },
+            ...(this.collection.length > 0
+                ? [{ category: COLLECTION_CATEGORY, label: this.getCategory(COLLECTION_CATEGORY).label, icon: '', count: this.collection.length }]
+                : []),
+            ...this.categoryOrder.map(category => ({
+                category,
+                label: this.getCategory(category).label,
+                icon: this.getCategory(category).icon,
+                count: counts[category] || 0
+            }))
+        ];
+
+        filters.innerHTML = chips.map(chip => `
+            <button type="button"
+                    class="gallery-filter-chip${chip.category === this.activeCategory ? ' active' : ''}"
+                    data-category="${escapeHtml(chip.category)}"
+                    aria-pressed="${chip.category === this.activeCategory}">
+                ${chip.icon ? `<span aria-hidden="true">${escapeHtml(chip.icon)}</span>` : ''}
+                <span>${escapeHtml(chip.label)}</span>
+                <span class="gallery-filter-count">${chip.count}</span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Apply gallery state from the URL hash
+     * @description Called on load and on back/forward navigation
+     */
+    applyUrlState() {
+        const params = getHashParams();
+
+        const printCategory = params.get('print');
+        if (printCategory && this.categoryOrder.includes(printCategory)) {
+            if (this.lightboxController.isOpen) {
+                this.lightboxController.close({ updateHistory: false });
+            }
+            this.printPreview.show(this.getCategory(printCategory), this.groupImagesByCategory()[printCategory]);
+            return;
+        }
+
+        if (printCategory !== null) {
+            if (window.logWarn) {
+                window.logWarn(`Gallery print album not found: ${printCategory}`, { category: printCategory });
+            }
+            params.delete('print');
+            setHashParams(params, { replace: true });
+        }
+        this.hidePrintPreview();
+
+        const collection = params.get('collection');
+        if (collection !== null) {
+            this.setCollection(collection.split(','));
+
+            if (this.collection.length === 0) {
+                params.delete('collection');
+                setHashParams(params, { replace: true });
+            }
+        }
+
+        this.setPerson(params.get('person'), { updateUrl: false });
+
+        const category = collection !== null && this.collection.length > 0 ? COLLECTION_CATEGORY : params.get('category');
+        this.setCategory(category || 'all', { updateUrl: false });
+
+        const photoId = params.get('photo');
+        if (photoId) {
+            this.openImageById(photoId);
+        } else if (this.lightboxController.isOpen) {
+            // Back button closes the lightbox
+            this.lightboxController.close({ updateHistory: false });
+        }
+    }
+
+    /**
+     * Show the printable album for a category
+     * @param {string} category - Category key
+     */
+    openPrintPreview(category) {
+        const params = getHashParams();
+        params.delete('photo');
+        params.set('print', category);
+        setHashParams(params);
+        this.printHistoryPushed = true;
+
+        this.applyUrlState();
+    }
+
+    /**
+     * Leave the printable album, returning to where the gallery was
+     */
+    closePrintPreview() {
+        if (this.printHistoryPushed) {
+            // Back restores the previous filters - popstate hides the preview
+            history.back();
+            return;
+        }
+
+        const params = getHashParams();
+        params.delete('print');
+        setHashParams(params, { replace: true });
+        this.applyUrlState();
+    }
+
+    /**
+     * Hide the printable album and return focus to its "Print album" button
+     */
+    hidePrintPreview() {
+        const category = this.printPreview.hide();
+        if (category === null) return;
+
+        this.printHistoryPushed = false;
+        this.elements.container?.querySelector(`.gallery-category-section[data-category="${category}"] .gallery-print-button`)?.focus();
+    }
+
+    /**
+     * Load a shared collection from its image ids
+     * @description Unknown ids are skipped. The collection keeps its filter chip
+     *              for the rest of the visit, so it can be returned to after browsing.
+     * @param {Array<string>} ids - Image ids from #collection=
+     */
+    setCollection(ids) {
+        const known = new Set(this.allImages.map(image => image.id));
+        const requested = [...new Set(ids.map(id => id.trim()).filter(Boolean))];
+        const missing = requested.filter(id => !known.has(id));
+
+        if (missing.length > 0 && window.logWarn) {
+            window.logWarn(`Shared collection has unknown photos: ${missing.join(', ')}`, { photoIds: missing });
+        }
+
+        const collection = requested.filter(id => known.has(id));
+        if (collection.length === 0 || collection.join(',') === this.collection.join(',')) return;
+
+        this.collection = collection;
+        this.renderFilterChips();
+    }
+
+    /**
+     * Get the favourites that are still in the gallery
+     * @returns {Array<string>} Image ids, oldest favourite first
+     */
+    getFavouriteIds() {
+        const known = new Set(this.allImages.map(image => image.id));
+        return this.favourites.list().filter(id => known.has(id));
+    }
+
+    /**
+     * Sync stars, the favourites count and the album bar after favourites change
+     */
+    updateFavourites() {
+        this.elements.container?.querySelectorAll('.gallery-item-favourite[data-id]').forEach(button => {
+            button.setAttribute('aria-pressed', String(this.favourites.has(button.getAttribute('data-id'))));
+        });
+
+        const count = this.elements.filters?.querySelector(`[data-category="${FAVOURITES_CATEGORY}"] .gallery-filter-count`);
+        if (count) {
+            count.textContent = this.getFavouriteIds().length;
+        }
+
+        this.lightboxController.updateFavouriteButton();
+        this.updateAlbumBar();
     }
 
     /**
-     * Show previous image
+     * Initialize the favourites/shared collection bar
      */
-    previous() {
-        const images = this.getFilteredImages();
-        this.currentIndex = (this.currentIndex - 1 + images.length) % images.length;
-        this.update();
+    initAlbumBar() {
+        this.elements.albumShare?.addEventListener('click', () => this.shareAlbum());
+        this.elements.albumSave?.addEventListener('click', () => {
+            this.favourites.addAll(this.collection);
+            showToast(`Saved ${this.collection.length} ${this.collection.length === 1 ? 'photo' : 'photos'} to your favourites`);
+        });
     }
-}
 
-/* ============================================
-   GALLERY MANAGER CLASS
-   ============================================ */
+    /**
+     * Show the album bar for the favourites and shared collection filters
+     */
+    updateAlbumBar() {
+        const { albumBar, albumTitle, albumSave, albumShare } = this.elements;
+        if (!albumBar) return;
 
-/**
- * Gallery Manager Class
- * @description Main gallery manager that coordinates all gallery functionality.
- *              Handles data loading, rendering, and initialization of sub-components.
- * @class
- */
-class GalleryManager {
-    constructor() {
-        this.allImages = [];
-        this.imageLoader = new ImageLoader();
+        albumBar.hidden = !this.albumIds;
+        if (!this.albumIds) return;
 
-        this.elements = {
-            container: document.getElementById('galleryContainer')
-        };
+        const isCollection = this.activeCategory === COLLECTION_CATEGORY;
+        const count = isCollection ? this.collection.length : this.getFavouriteIds().length;
+        const photos = `${count} ${count === 1 ? 'photo' : 'photos'}`;
+
+        if (albumTitle) {
+            albumTitle.textContent = isCollection ? `A shared collection of ${photos}` : `${photos} in your favourites`;
+        }
+        if (albumShare) {
+            albumShare.hidden = count === 0;
+        }
+        if (albumSave) {
+            albumSave.hidden = !isCollection || this.collection.every(id => this.favourites.has(id));
+        }
+    }
 
-        this.lightboxController = new LightboxController(() => this.allImages);
+    /**
+     * Share the favourites or shared collection as a #collection= link
+     */
+    async shareAlbum() {
+        const ids = this.activeCategory === COLLECTION_CATEGORY ? this.collection : this.getFavouriteIds();
+        if (ids.length === 0) return;
+
+        await shareLink({
+            title: CONFIG.shareTitle,
+            text: `${ids.length} ${ids.length === 1 ? 'photo' : 'photos'} from the Vidya Chaitanya Samakhya gallery`,
+            url: getCollectionUrl(ids)
+        });
     }
 
     /**
-     * Initialize gallery
+     * Open the lightbox on an image referenced by its data id (e.g. img-012)
+     * @param {string} id - Image id from gallery-data.json
      */
-    async init() {
-        try {
-            await this.loadData();
-            this.renderGallery();
-        } catch (error) {
-            const errorMessage = error.message || 'Failed to load gallery';
-            
-            // Use error handler if available
-            if (window.ErrorHandler) {
-                window.ErrorHandler.handleError({
-                    message: errorMessage,
-                    error,
-                    type: 'Gallery Initialization Error',
-                    context: { 
-                        module: 'gallery.js',
-                        action: 'init'
-                    },
-                    showUser: false // We'll show our own UI
-                });
+    openImageById(id) {
+        let index = this.visibleImages.findIndex(image => image.id === id);
+
+        // Photo is hidden by the active filter - show everything instead
+        if (index === -1 && this.orderedImages.some(image => image.id === id)) {
+            this.setCategory('all', { updateUrl: false });
+            index = this.visibleImages.findIndex(image => image.id === id);
+        }
+
+        if (index === -1) {
+            if (window.logWarn) {
+                window.logWarn(`Gallery photo not found: ${id}`, { photoId: id });
+            }
+            const params = getHashParams();
+            params.delete('photo');
+            setHashParams(params, { replace: true });
+            return;
+        }
+
+        const lightbox = this.lightboxController;
+        if (!lightbox.isOpen || lightbox.currentIndex !== index) {
+            lightbox.open(index, { updateHistory: false });
+        }
+    }
+
+    /**
+     * Show only the sections for a category
+     * @param {string} category - Category key, 'all' to show every section, or 'favourites'/'collection'
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.updateUrl=true] - Write the active filter to the URL hash
+     */
+    setCategory(category, { updateUrl = true } = {}) {
+        const isAlbum = category === FAVOURITES_CATEGORY || (category === COLLECTION_CATEGORY && this.collection.length > 0);
+        if (category !== 'all' && !isAlbum && !this.categoryOrder.includes(category)) {
+            category = 'all';
+        }
+
+        const changed = category !== this.activeCategory;
+        this.activeCategory = category;
+
+        // Favourites are a snapshot - photos unstarred while browsing them stay until the filter is chosen again
+        if (changed || category === COLLECTION_CATEGORY) {
+            this.albumIds = category === FAVOURITES_CATEGORY ? new Set(this.getFavouriteIds())
+                : category === COLLECTION_CATEGORY ? new Set(this.collection)
+                    : null;
+        }
+
+        // Update chips
+        this.elements.filters?.querySelectorAll('.gallery-filter-chip').forEach(chip => {
+            const isActive = chip.getAttribute('data-category') === category;
+            chip.classList.toggle('active', isActive);
+            chip.setAttribute('aria-pressed', String(isActive));
+        });
+
+        this.applyFilters();
+
+        if (updateUrl) {
+            const params = getHashParams();
+            if (category === 'all' || category === COLLECTION_CATEGORY) {
+                params.delete('category');
             } else {
-                console.error('Gallery initialization failed:', error);
+                params.set('category', category);
             }
+            if (category === COLLECTION_CATEGORY) {
+                params.set('collection', this.collection.join(','));
+            } else {
+                params.delete('collection');
+            }
+            setHashParams(params);
 
-            // Show user-friendly error in gallery container
+            // Keep the newly shown sections in view when filtering from further down the page
             const container = this.elements.container;
-            if (container) {
-                showError(container, errorMessage, error);
+            if (changed && container && container.getBoundingClientRect().top < 0) {
+                container.scrollIntoView({ behavior: 'smooth', block: 'start' });
             }
         }
+
+        // Announce to screen readers
+        if (changed && window.announceToScreenReader) {
+            window.announceToScreenReader(`Showing ${this.visibleImages.length} photos: ${this.getCategory(category).label}`, 'polite');
+        }
     }
 
     /**
-     * Load gallery data from JSON
+     * Initialize the "Photos of <person>" filter pill
      */
-    async loadData() {
-        try {
-            const response = await fetch(CONFIG.dataUrl);
+    initPersonFilter() {
+        this.elements.personClear?.addEventListener('click', () => {
+            this.setPerson(null);
+            this.elements.search?.focus();
+        });
+    }
 
-            if (!response.ok) {
-                const error = new Error(`HTTP error! status: ${response.status}`);
-                error.status = response.status;
-                
-                // Log error
-                if (window.ErrorHandler) {
-                    window.ErrorHandler.handleError({
-                        message: `Failed to load gallery data: ${response.status}`,
-                        error,
-                        type: 'Network Error',
-                        context: { 
-                            url: CONFIG.dataUrl,
-                            status: response.status
-                        },
-                        showUser: false
-                    });
-                }
-                
-                throw error;
+    /**
+     * Show only the photos a person is tagged in
+     * @param {string|null} id - Person id from people.json, or null to show everyone
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.updateUrl=true] - Write the person to the URL hash
+     */
+    setPerson(id, { updateUrl = true } = {}) {
+        if (id && !this.people.has(id) && !this.allImages.some(image => image.people?.includes(id))) {
+            if (window.logWarn) {
+                window.logWarn(`Gallery person not found: ${id}`, { personId: id });
             }
+            const params = getHashParams();
+            params.delete('person');
+            setHashParams(params, { replace: true });
+            id = null;
+        }
 
-            const data = await response.json();
-            this.allImages = data.images || [];
+        id = id || null;
+        const changed = id !== this.activePerson;
+        this.activePerson = id;
+        this.updatePersonFilter();
 
-            if (this.allImages.length === 0) {
-                const error = new Error('No images found in data');
-                
-                if (window.ErrorHandler) {
-                    window.ErrorHandler.handleError({
-                        message: 'Gallery data is empty',
-                        error,
-                        type: 'Data Error',
-                        context: { url: CONFIG.dataUrl },
-                        showUser: false
-                    });
-                }
-                
-                throw error;
-            }
+        if (!changed) return;
+        this.applyFilters();
 
-            // Log success
-            if (window.logInfo) {
-                window.logInfo(`Gallery loaded: ${this.allImages.length} images`, {
-                    categories: Object.keys(
-                        this.allImages.reduce((acc, img) => {
-                            acc[img.category || 'other'] = true;
-                            return acc;
-                        }, {})
-                    )
-                });
+        if (updateUrl) {
+            const params = getHashParams();
+            if (id) {
+                params.set('person', id);
+            } else {
+                params.delete('person');
             }
-        } catch (error) {
-            // Re-throw to be handled by init()
-            throw error;
+            setHashParams(params);
+        }
+
+        if (window.announceToScreenReader) {
+            const message = id
+                ? `Showing ${this.visibleImages.length} photos of ${this.getPerson(id).name}`
+                : `Showing ${this.visibleImages.length} photos`;
+            window.announceToScreenReader(message, 'polite');
         }
     }
 
+    /**
+     * Show the active person in the filter pill, linked to their team page card
+     */
+    updatePersonFilter() {
+        const { personFilter, personName, personRole } = this.elements;
+        if (!personFilter) return;
+
+        personFilter.hidden = !this.activePerson;
+        if (!this.activePerson) return;
 
+        const person = this.getPerson(this.activePerson);
+        if (personName) {
+            personName.textContent = person.name;
+            personName.href = `${CONFIG.teamPageUrl}#person-${encodeURIComponent(person.id)}`;
+        }
+        if (personRole) {
+            personRole.textContent = person.role ? ` · ${person.role}` : '';
+        }
+    }
 
     /**
-     * Render gallery grid grouped by categories
+     * Initialize the search box
      */
-    renderGallery() {
-        const container = document.getElementById('galleryContainer');
-        if (!container) {
-            const error = new Error('Gallery container not found');
-            if (window.ErrorHandler) {
-                window.ErrorHandler.handleError({
-                    message: 'Gallery container element missing',
-                    error,
-                    type: 'DOM Error',
-                    showUser: true
-                });
-            }
-            return;
-        }
+    initSearch() {
+        const input = this.elements.search;
+        if (!input) return;
+
+        const search = debounce((query) => this.setSearchQuery(query), CONFIG.searchDebounceDelay);
+        input.addEventListener('input', () => search(input.value));
+
+        // "Clear search" in the no-results state
+        this.elements.clearSearch?.addEventListener('click', () => {
+            input.value = '';
+            this.setSearchQuery('');
+            input.focus();
+        });
+    }
 
-        if (this.allImages.length === 0) {
-            showError(container, 'No images found', new Error('Empty image array'));
-            return;
+    /**
+     * Filter the gallery by a search query
+     * @param {string} query - Search query matched against description, alt text, category, year, people and transcripts
+     */
+    setSearchQuery(query) {
+        const terms = getSearchTerms(query);
+        if (terms.join(' ') === this.searchTerms.join(' ')) return;
+
+        this.searchTerms = terms;
+        this.applyFilters();
+
+        // Announce result count to screen readers
+        if (window.announceToScreenReader) {
+            const count = this.visibleImages.length;
+            const message = terms.length === 0
+                ? `Showing ${count} photos`
+                : count === 0
+                    ? `No photos found for "${query.trim()}"`
+                    : `${count} ${count === 1 ? 'photo' : 'photos'} found for "${query.trim()}"`;
+            window.announceToScreenReader(message, 'polite');
         }
+    }
+
+    /**
+     * Get the searchable text for an image
+     * @param {Object} image - Image data
+     * @returns {string} Lowercase text to match search terms against
+     */
+    getSearchText(image) {
+        return [
+            image.description,
+            image.alt,
+            this.getCategory(image.category || 'other').label,
+            image.event,
+            image.year,
+            ...(image.people || []).map(id => this.getPerson(id).name),
+            image.transcript,
+            image.transcript_te
+        ].filter(Boolean).join(' ').toLowerCase();
+    }
 
-        container.innerHTML = '';
+    /**
+     * Check whether an image matches the current search terms
+     * @param {Object} image - Image data
+     * @returns {boolean} True if every search term is found
+     */
+    matchesSearch(image) {
+        if (this.searchTerms.length === 0) return true;
 
-        // Group images by category
-        const imagesByCategory = {};
-        this.allImages.forEach((image, index) => {
-            const category = image.category || 'other';
-            if (!imagesByCategory[category]) {
-                imagesByCategory[category] = [];
+        const text = this.getSearchText(image);
+        return this.searchTerms.every(term => text.includes(term));
+    }
+
+    /**
+     * Check whether an image is shown under the current filter
+     * @param {Object} image - Image data
+     * @returns {boolean} True if the image is visible
+     */
+    isImageVisible(image) {
+        const inCategory = this.albumIds
+            ? this.albumIds.has(image.id)
+            : this.activeCategory === 'all' || (image.category || 'other') === this.activeCategory;
+        const hasPerson = !this.activePerson || (image.people || []).includes(this.activePerson);
+        return inCategory && hasPerson && this.matchesSearch(image);
+    }
+
+    /**
+     * Apply the active category and search query to the rendered gallery
+     * @description Shows/hides items and groups (sections, years, events), updates counts,
+     *              highlights caption matches and toggles the no-results state.
+     */
+    applyFilters() {
+        this.updateVisibleImages();
+
+        const container = this.elements.container;
+        if (!container) return;
+
+        const visibleIndexes = new Set(this.visibleImages.map(image => image.originalIndex));
+        const isSearching = this.searchTerms.length > 0;
+
+        container.classList.toggle('is-searching', isSearching);
+
+        container.querySelectorAll('.gallery-item[data-index]').forEach(item => this.applyItemState(item, visibleIndexes));
+
+        // Counts come from the data so photos still queued behind "Show all" are included
+        this.groupImages.forEach((images, group) => {
+            const visibleCount = images.filter(image => visibleIndexes.has(image.originalIndex)).length;
+            group.hidden = visibleCount === 0;
+
+            const count = group.querySelector('[data-group-count]');
+            if (count) {
+                count.textContent = visibleCount;
             }
-            imagesByCategory[category].push({ ...image, originalIndex: index });
         });
 
-        // Sort categories by label
-        const sortedCategories = Object.keys(imagesByCategory).sort((a, b) => {
-            const labelA = CATEGORY_LABELS[a] || a;
-            const labelB = CATEGORY_LABELS[b] || b;
-            return labelA.localeCompare(labelB);
-        });
+        this.chunks.forEach(chunk => this.updateShowAllButton(chunk));
+        this.layout.refresh();
+
+        if (this.elements.noResults) {
+            this.elements.noResults.hidden = this.visibleImages.length > 0;
+
+            // An empty favourites list or person filter isn't a search miss
+            if (this.elements.noResultsMessage) {
+                this.elements.noResultsMessage.textContent = isSearching
+                    ? 'No photos match your search.'
+                    : this.activeCategory === FAVOURITES_CATEGORY
+                        ? 'No favourites yet. Star a photo to add it here.'
+                        : this.activePerson
+                            ? `No tagged photos of ${this.getPerson(this.activePerson).name} here yet.`
+                            : 'No photos match your search.';
+            }
+            if (this.elements.clearSearch) {
+                this.elements.clearSearch.hidden = !isSearching;
+            }
+        }
 
-        // Render each category section
-        sortedCategories.forEach((category, categoryIndex) => {
-            const images = imagesByCategory[category];
-            const categoryLabel = CATEGORY_LABELS[category] || category.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-            
-            const section = document.createElement('div');
-            section.className = 'gallery-category-section';
-            
-            section.innerHTML = `
-                <div class="gallery-category-header">
-                    <h2 class="gallery-category-title">
-                        <span>${escapeHtml(categoryLabel)}</span>
-                        <span class="gallery-category-count">${images.length}</span>
-                    </h2>
-                </div>
-                <div class="gallery-grid" data-category="${category}"></div>
-            `;
+        this.updateAlbumBar();
+    }
 
-            const grid = section.querySelector('.gallery-grid');
-            
-            // Create gallery items for this category
-            images.forEach((imageData) => {
-                try {
-                    const item = this.createGalleryItem(imageData, imageData.originalIndex);
-                    grid.appendChild(item);
-                } catch (error) {
-                    // Log error but continue rendering other items
-                    if (window.ErrorHandler) {
-                        window.ErrorHandler.handleError({
-                            message: `Failed to create gallery item: ${imageData.path}`,
-                            error,
-                            type: 'Gallery Item Error',
-                            context: { imagePath: imageData.path },
-                            showUser: false
-                        });
-                    }
-                }
-            });
+    /**
+     * Show or hide a rendered item and highlight its caption for the current filters
+     * @param {HTMLElement} item - Gallery item with a data-index
+     * @param {Set<number>} [visibleIndexes] - Visible image indexes, computed if omitted
+     */
+    applyItemState(item, visibleIndexes) {
+        const index = Number(item.getAttribute('data-index'));
+        const image = this.allImages[index];
+        item.hidden = visibleIndexes ? !visibleIndexes.has(index) : !(image && this.isImageVisible(image));
+
+        const caption = item.querySelector('.gallery-item-caption');
+        if (caption && image) {
+            caption.innerHTML = highlightMatches(image.description || '', this.searchTerms);
+        }
+    }
 
-            container.appendChild(section);
-        });
+    /**
+     * Recompute the sequence of visible images used for lightbox navigation
+     */
+    updateVisibleImages() {
+        this.visibleImages = (this.orderedImages || []).filter(image => this.isImageVisible(image));
+    }
 
-        // Initialize lazy loading for all items
-        const items = container.querySelectorAll('.gallery-item');
-        this.imageLoader.observe(items);
+    /**
+     * Open the lightbox on an image, positioned within the visible sequence
+     * @param {number} originalIndex - Index of the image in the gallery data
+     */
+    openImage(originalIndex) {
+        const index = this.visibleImages.findIndex(image => image.originalIndex === originalIndex);
+        if (index !== -1) {
+            this.lightboxController.open(index);
+        }
     }
 
     /**
      * Create a gallery item element
      * @param {Object} image - Image data
-     * @param {number} index - Image index
+     * @param {number} index - Index of the image in the gallery data
      * @returns {HTMLElement} Gallery item element
      */
     createGalleryItem(image, index) {
-        const item = document.createElement('div');
-        item.className = 'gallery-item';
-        item.setAttribute('data-category', image.category);
-        item.setAttribute('data-index', index);
-
-        const delay = (index % 4) * CONFIG.animationDelay;
-
-        item.innerHTML = `
-      <div class="gallery-item" 
-           role="button"
-           tabindex="0"
-           aria-label="View image: ${escapeHtml(image.description || image.alt || 'Gallery image')}"
-           aria-describedby="gallery-caption-${index}"
-           style="opacity: 1 !important;">
-        <div class="image-skeleton" aria-hidden="true"></div>
-        <img 
-          src="${escapeHtml(image.path)}" 
-          alt="${escapeHtml(image.alt || image.description || 'Gallery image')}"
-          loading="lazy"
-          decoding="async"
-          style="opacity: 0; transition: opacity 0.3s ease;"
-        >
-        <div class="gallery-item-overlay" aria-hidden="true"></div>
-        <div class="gallery-item-caption" id="gallery-caption-${index}">${escapeHtml(image.description || '')}</div>
-      </div>
-    `;
-
-        // Image load handlers
+        const favourite = this.favourites.has(image.id);
+        const item = createElementFromHtml(renderGalleryItem(image, index, { fadeIn: true, favourite }));
+
+        this.initGalleryItem(item, image, index);
+        return item;
+    }
+
+    /**
+     * Attach a gallery item's image loading, favourite and open handlers
+     * @description Used for new items and for items pre-rendered into gallery.html,
+     *              whose images may have loaded or failed before this script ran.
+     * @param {HTMLElement} item - Gallery item element
+     * @param {Object} image - Image data
+     * @param {number} index - Index of the image in the gallery data
+     */
+    initGalleryItem(item, image, index) {
         const img = item.querySelector('img');
         const skeleton = item.querySelector('.image-skeleton');
 
-        img.addEventListener('load', () => {
+        const showImage = () => {
             if (skeleton) skeleton.style.display = 'none';
             img.style.opacity = '1';
-        });
+        };
+
+        const onError = () => {
+            // Variants are build output - retry with the original before giving up
+            if (image.variants && !img.src.endsWith(image.path)) {
+                item.querySelectorAll('source').forEach(source => source.remove());
+                img.removeAttribute('srcset');
+                img.src = image.path;
+                return;
+            }
 
-        img.addEventListener('error', () => {
             if (skeleton) skeleton.style.display = 'none';
             img.style.opacity = '1';
             img.alt = 'Image failed to load';
@@ -638,28 +3636,41 @@ class GalleryManager {
                     imageIndex: index
                 });
             }
-        });
+        };
 
-        // Fallback: if image is already loaded (cached), show it immediately
-        if (img.complete && img.naturalHeight !== 0) {
-            if (skeleton) skeleton.style.display = 'none';
-            img.style.opacity = '1';
+        img.addEventListener('load', showImage);
+        img.addEventListener('error', onError);
+
+        // Fallback: the image may have finished already (cached, or pre-rendered in the page)
+        if (img.complete && img.getAttribute('src')) {
+            if (img.naturalHeight !== 0) {
+                showImage();
+            } else if (img.isConnected) {
+                onError();
+            }
         }
 
+        // Star without opening the lightbox
+        const favourite = item.querySelector('.gallery-item-favourite');
+        favourite?.setAttribute('aria-pressed', String(this.favourites.has(image.id)));
+        favourite?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.favourites.toggle(image.id);
+        });
+
         // Click handler
         item.addEventListener('click', () => {
-            this.lightboxController.open(index);
+            this.openImage(index);
         });
 
         // Keyboard handler for accessibility
         item.addEventListener('keydown', (e) => {
+            if (e.target.closest('.gallery-item-favourite')) return;
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
-                this.lightboxController.open(index);
+                this.openImage(index);
             }
         });
-
-        return item;
     }
 
     /**
@@ -667,6 +3678,7 @@ class GalleryManager {
      */
     destroy() {
         this.imageLoader.destroy();
+        this.layout.destroy();
     }
 }
 
@@ -701,7 +3713,7 @@ function initGallery() {
                     onError: (error) => {
                         // Additional error handling if needed
                         const container = document.getElementById('galleryContainer');
-                        if (container) {
+                        if (container && !container.hasAttribute('data-prerendered')) {
                             showError(container, 'Failed to initialize gallery', error);
                         }
                     }
@@ -12,6 +12,7 @@
  * @requires assets/js/security.js - Security utilities (email obfuscation, bot protection)
  * @requires assets/js/sw-register.js - Service worker registration
  * @requires assets/js/gallery.js - Gallery functionality (gallery.html only)
+ * @requires assets/js/team.js - Team card photo links from the people registry (team.html only)
  */
 
 /**
@@ -38,6 +39,11 @@
  *    - Category filtering
  *    - Only loaded on gallery.html
  * 
+ * 5. team.js - Team page functionality
+ *    - Names and roles from the people registry (people.json)
+ *    - "Photos" links to the gallery for tagged people
+ *    - Only loaded on team.html
+ * 
  * Usage:
  * - All modules are self-initializing (IIFE pattern)
  * - Modules are loaded via <script> tags in HTML
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Team Page - People Registry
+ * @description Syncs the member cards on team.html with the people registry
+ *              (assets/data/people.json) and links each card to the gallery photos the
+ *              person is tagged in. The cards are pre-rendered from the registry
+ *              (`npm run build:team`), so the page still works if the data cannot be loaded.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ * @requires error-handler.js - Error handling utilities
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Team page configuration
+     * @type {Object}
+     * @property {string} PEOPLE_URL - People registry shared with the gallery
+     * @property {string} GALLERY_DATA_URL - Gallery data, for the photos each person is tagged in
+     */
+    const CONFIG = {
+        PEOPLE_URL: 'assets/data/people.json',
+        GALLERY_DATA_URL: 'assets/data/gallery-data.json'
+    };
+
+    /**
+     * Main initialization function
+     * @description Waits for the DOM, then loads the registry and gallery data.
+     * @returns {void}
+     */
+    function init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', init);
+            return;
+        }
+
+        if (!document.querySelector('[data-person]')) return;
+
+        loadTeamData()
+            .then(({ people, images }) => {
+                syncCards(people);
+                updatePhotoLinks(countTaggedPhotos(images));
+            })
+            .catch(error => {
+                // The static cards and their links still work - just log it
+                if (window.ErrorHandler) {
+                    window.ErrorHandler.handleError({
+                        message: 'Failed to load team data',
+                        error,
+                        type: 'Team Data Error',
+                        context: { module: 'team.js' },
+                        showUser: false
+                    });
+                } else {
+                    console.error('Error loading team data:', error);
+                }
+            });
+    }
+
+    /**
+     * Fetch a JSON file
+     * @param {string} url - File to fetch
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    async function fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} (${url})`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Load the people registry and gallery images
+     * @returns {Promise<{people: Array<Object>, images: Array<Object>}>} Team data
+     */
+    async function loadTeamData() {
+        const [registry, gallery] = await Promise.all([
+            fetchJson(CONFIG.PEOPLE_URL),
+            fetchJson(CONFIG.GALLERY_DATA_URL)
+        ]);
+        return { people: registry.people || [], images: gallery.images || [] };
+    }
+
+    /**
+     * Show each card's name and role from the registry
+     * @description The registry is the source of truth - this keeps the page right
+     *              if the markup falls behind (validate:gallery warns about that too).
+     * @param {Array<Object>} people - Registry entries
+     * @returns {void}
+     */
+    function syncCards(people) {
+        const registry = new Map(people.map(person => [person.id, person]));
+
+        document.querySelectorAll('[data-person]').forEach(card => {
+            const person = registry.get(card.getAttribute('data-person'));
+            if (!person) return;
+
+            const name = card.querySelector('[data-person-name]');
+            const role = card.querySelector('[data-person-role]');
+            if (name) name.textContent = person.name;
+            if (role) role.textContent = person.role;
+        });
+    }
+
+    /**
+     * Count the gallery photos each person is tagged in
+     * @param {Array<Object>} images - Gallery images
+     * @returns {Map<string, number>} Photo counts by person id
+     */
+    function countTaggedPhotos(images) {
+        const counts = new Map();
+        images.forEach(image => {
+            (image.people || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+        });
+        return counts;
+    }
+
+    /**
+     * Label each "Photos" link with its count, hiding links that would find nothing
+     * @param {Map<string, number>} counts - Photo counts by person id
+     * @returns {void}
+     */
+    function updatePhotoLinks(counts) {
+        document.querySelectorAll('[data-person]').forEach(card => {
+            const link = card.querySelector('[data-person-photos]');
+            if (!link) return;
+
+            const count = counts.get(card.getAttribute('data-person')) || 0;
+            const name = card.querySelector('[data-person-name]')?.textContent.trim() || '';
+
+            link.hidden = count === 0;
+            link.textContent = `Photos (${count})`;
+            link.setAttribute('aria-label', `${count} ${count === 1 ? 'photo' : 'photos'} of ${name}`);
+        });
+    }
+
+    init();
+})();
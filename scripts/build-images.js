@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Responsive Image Builder
+ * @description Generates resized JPEG, WebP and AVIF variants for every photo listed in
+ *              gallery-data.json and writes the photo dimensions and a blur-up placeholder
+ *              back into the data file, so the gallery can emit explicit dimensions and
+ *              paint something meaningful before photos load. The variant files are not
+ *              committed, so their paths (for srcset/sizes) are only written to the data
+ *              file by the deploy build, with --record-variants.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ *
+ * Usage:
+ *   npm run build:images                        Generate missing or outdated variants
+ *   npm run build:images -- --force             Regenerate every variant
+ *   npm run build:images -- --record-variants   Also record the variant paths in the data file (CI)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const {
+    PATHS,
+    readGalleryData,
+    writeGalleryData,
+    resolveAssetPath,
+    toAssetPath
+} = require('./lib/gallery-data');
+
+/**
+ * Variant configuration
+ * @type {Object}
+ * @property {Object<string, number>} sizes - Maximum width per variant (never upscaled)
+ * @property {Object<string, Object>} formats - Output formats with file extension and encoder options
+ * @property {Object} placeholder - Size and quality of the inline blur-up image
+ */
+const CONFIG = {
+    sizes: {
+        thumbnail: 480,
+        medium: 1024,
+        full: 1920
+    },
+    formats: {
+        jpeg: { ext: 'jpg', options: { quality: 78, mozjpeg: true, progressive: true } },
+        webp: { ext: 'webp', options: { quality: 75 } },
+        avif: { ext: 'avif', options: { quality: 50, effort: 4 } }
+    },
+    placeholder: {
+        width: 16,
+        quality: 40
+    }
+};
+
+/**
+ * Check whether an output file is missing or older than its source
+ * @param {string} output - Output file path
+ * @param {string} source - Source file path
+ * @returns {boolean} True if the output needs to be (re)generated
+ */
+function isStale(output, source) {
+    if (!fs.existsSync(output)) return true;
+    return fs.statSync(output).mtimeMs < fs.statSync(source).mtimeMs;
+}
+
+/**
+ * Get display dimensions of a photo, accounting for EXIF orientation
+ * @param {string} source - Source file path
+ * @returns {Promise<{width: number, height: number}>} Dimensions
+ */
+async function getDimensions(source) {
+    const { width, height, orientation } = await sharp(source).metadata();
+    // Orientations 5-8 are rotated by 90 degrees
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Compute the blur-up placeholder for a photo
+ * @description The dominant colour paints instantly; the tiny WebP is inlined as a
+ *              data URI (a few hundred bytes) and blurred by the gallery CSS.
+ * @param {string} source - Source file path
+ * @returns {Promise<{color: string, lqip: string}>} Placeholder data
+ */
+async function getPlaceholder(source) {
+    const { dominant } = await sharp(source).stats();
+    const color = `#${[dominant.r, dominant.g, dominant.b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+
+    const buffer = await sharp(source)
+        .rotate()
+        .resize({ width: CONFIG.placeholder.width })
+        .webp({ quality: CONFIG.placeholder.quality })
+        .toBuffer();
+
+    return { color, lqip: `data:image/webp;base64,${buffer.toString('base64')}` };
+}
+
+/**
+ * Generate all variants for one gallery image
+ * @param {Object} image - Image entry from gallery-data.json
+ * @param {Object} options - Build options
+ * @param {boolean} options.force - Regenerate even if outputs are up to date
+ * @param {boolean} options.recordVariants - Add the variant paths to the entry
+ * @param {Set<string>} options.outputs - Collects every variant path written or kept
+ * @returns {Promise<Object>} Image entry with width, height, placeholder and, if recorded, variants
+ */
+async function buildImage(image, { force, recordVariants, outputs }) {
+    const source = resolveAssetPath(image.path);
+    const { width, height } = await getDimensions(source);
+    const placeholder = await getPlaceholder(source);
+    const baseName = path.parse(image.path).name;
+    const variants = {};
+
+    for (const [name, maxWidth] of Object.entries(CONFIG.sizes)) {
+        const variantWidth = Math.min(maxWidth, width);
+        const variant = {
+            width: variantWidth,
+            height: Math.round((height * variantWidth) / width)
+        };
+
+        for (const [format, { ext, options }] of Object.entries(CONFIG.formats)) {
+            const output = path.join(PATHS.variants, `${baseName}-${variantWidth}.${ext}`);
+
+            // Smaller originals share one file across several variant names
+            if (!outputs.has(output) && (force || isStale(output, source))) {
+                await sharp(source)
+                    .rotate()
+                    .resize({ width: variantWidth, withoutEnlargement: true })
+                    .toFormat(format, options)
+                    .toFile(output);
+            }
+
+            outputs.add(output);
+            variant[format] = toAssetPath(output);
+        }
+
+        variants[name] = variant;
+    }
+
+    const entry = { ...image, width, height, placeholder, variants };
+    // The variant files aren't committed - drop their paths unless this is the deploy build
+    if (!recordVariants) delete entry.variants;
+    return entry;
+}
+
+/**
+ * Delete variant files that no longer belong to any image
+ * @param {Set<string>} outputs - Variant paths in use
+ * @returns {number} Number of files removed
+ */
+function pruneVariants(outputs) {
+    let removed = 0;
+    fs.readdirSync(PATHS.variants).forEach(file => {
+        const filePath = path.join(PATHS.variants, file);
+        if (!outputs.has(filePath)) {
+            fs.unlinkSync(filePath);
+            removed++;
+        }
+    });
+    return removed;
+}
+
+/**
+ * Build variants for every image and update gallery-data.json
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const force = process.argv.includes('--force');
+    const recordVariants = process.argv.includes('--record-variants');
+    const data = readGalleryData();
+    const outputs = new Set();
+    const missing = [];
+
+    fs.mkdirSync(PATHS.variants, { recursive: true });
+
+    for (let i = 0; i < data.images.length; i++) {
+        const image = data.images[i];
+
+        if (!fs.existsSync(resolveAssetPath(image.path))) {
+            missing.push(image);
+            continue;
+        }
+
+        data.images[i] = await buildImage(image, { force, recordVariants, outputs });
+        console.log(`✓ ${image.id} ${image.path}`);
+    }
+
+    writeGalleryData(data);
+
+    const removed = pruneVariants(outputs);
+    console.log(`\nBuilt ${outputs.size} variant files for ${data.images.length - missing.length} images` +
+        (removed ? `, removed ${removed} unused` : ''));
+
+    if (missing.length > 0) {
+        missing.forEach(image => console.error(`✗ ${image.id}: source not found at ${image.path}`));
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('Image build failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Photo EXIF Extractor
+ * @description Reads the EXIF metadata of every photo listed in gallery-data.json, fills
+ *              in missing date, year, width and height fields from it, and then strips GPS
+ *              positions and all other EXIF, XMP and IPTC metadata from the published files
+ *              (only the orientation is kept). Run it before build:images; the variants it
+ *              generates are rotated by orientation and carry no metadata of their own.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ *
+ * Usage:
+ *   npm run gallery:exif              Fill missing fields and strip metadata from the photos
+ *   npm run gallery:exif -- --check   Change nothing; exit non-zero if any photo still has metadata
+ */
+
+'use strict';
+
+const fs = require('fs');
+const {
+    PATHS,
+    readGalleryData,
+    writeGalleryData,
+    setImageFields,
+    resolveAssetPath,
+    toAssetPath
+} = require('./lib/gallery-data');
+const { readPhotoMetadata, stripPhotoMetadata } = require('./lib/photo-metadata');
+
+/**
+ * Check whether a photo's EXIF date contradicts the year typed into its entry
+ * @description A year in the data was typed by a person, so it is never overridden by a
+ *              camera clock - but the EXIF date is the only record of when the photo was
+ *              taken, so the file keeps its metadata until someone decides which is right.
+ * @param {Object} image - Image entry from gallery-data.json
+ * @param {Object} metadata - Photo metadata from readPhotoMetadata()
+ * @returns {string|null} Description of the conflict, or null if there is none
+ */
+function getDateConflict(image, metadata) {
+    if (image.date || !metadata.dateTaken || image.year === undefined) return null;
+    if (Number(metadata.dateTaken.slice(0, 4)) === image.year) return null;
+    return `EXIF date ${metadata.dateTaken} doesn't match year ${image.year}`;
+}
+
+/**
+ * Work out which fields of an image entry EXIF can fill in
+ * @param {Object} image - Image entry from gallery-data.json
+ * @param {Object} metadata - Photo metadata from readPhotoMetadata()
+ * @returns {Object} Fields to set (empty if nothing is missing)
+ */
+function getMissingFields(image, metadata) {
+    const fields = {};
+
+    if (!image.date && metadata.dateTaken && !getDateConflict(image, metadata)) {
+        fields.date = metadata.dateTaken;
+        fields.year = Number(metadata.dateTaken.slice(0, 4));
+    }
+
+    if (!image.width || !image.height) {
+        fields.width = metadata.width;
+        fields.height = metadata.height;
+    }
+
+    return fields;
+}
+
+/**
+ * Read the photos' EXIF, update the data file and clean the files
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const check = process.argv.includes('--check');
+    const data = readGalleryData();
+    const cleaned = new Set();
+    const warnings = [];
+    const conflicts = [];
+    const unclean = [];
+    const photos = [];
+    let updated = 0;
+
+    for (let i = 0; i < data.images.length; i++) {
+        const image = data.images[i];
+        const source = resolveAssetPath(image.path);
+
+        if (!fs.existsSync(source)) {
+            warnings.push(`${image.id}: source not found at ${image.path}`);
+            continue;
+        }
+
+        const metadata = await readPhotoMetadata(source);
+        const conflict = getDateConflict(image, metadata);
+        if (conflict) {
+            conflicts.push({ image, source, conflict });
+        }
+        photos.push({ i, image, source, metadata });
+    }
+
+    // Video posters can share a file with a photo - a conflict in either entry holds the file back
+    const held = new Set(conflicts.map(({ source }) => source));
+
+    for (const { i, image, source, metadata } of photos) {
+        const fields = getMissingFields(image, metadata);
+        const changes = Object.entries(fields).map(([key, value]) => `${key} ${value}`);
+
+        // Clean each file once
+        if (metadata.privateData.length > 0 && !cleaned.has(source) && !held.has(source)) {
+            cleaned.add(source);
+            if (check) {
+                unclean.push(`${image.path}: ${metadata.privateData.join(', ')}`);
+            } else {
+                fs.writeFileSync(source, await stripPhotoMetadata(source, metadata.orientation));
+                changes.push(`removed ${metadata.privateData.join(', ')}`);
+            }
+        }
+
+        if (Object.keys(fields).length > 0) {
+            updated++;
+            if (!check) data.images[i] = setImageFields(image, fields);
+        }
+
+        if (changes.length > 0) {
+            console.log(`✓ ${image.id} ${changes.join(' · ')}${metadata.camera ? ` (${metadata.camera})` : ''}`);
+        }
+    }
+
+    warnings.forEach(warning => console.warn(`⚠ ${warning}`));
+    conflicts.forEach(({ image, conflict }) => {
+        console.error(`✗ ${image.id}: ${conflict} - correct "year" or add the "date", then run \`npm run gallery:exif\`; ` +
+            `${image.path} keeps its metadata until then`);
+    });
+
+    if (check) {
+        unclean.forEach(problem => console.error(`✗ ${problem}`));
+        console.log(`\nChecked ${data.images.length} images: ${unclean.length} photo(s) with personal metadata, ` +
+            `${conflicts.length} date conflict(s), ${updated} entry(ies) with fields EXIF could fill`);
+        if (unclean.length > 0) {
+            console.error('✗ Run `npm run gallery:exif` to strip the metadata before publishing these photos');
+        }
+        if (unclean.length > 0 || conflicts.length > 0) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (updated > 0) {
+        writeGalleryData(data);
+    }
+
+    console.log(`\nFilled in ${updated} entry(ies) in ${toAssetPath(PATHS.data)}, ` +
+        `stripped metadata from ${cleaned.size} photo(s)`);
+
+    if (conflicts.length > 0) {
+        console.error(`✗ ${held.size} photo(s) still have their metadata - resolve the date conflicts above`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('EXIF extraction failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Duplicate Photo Finder
+ * @description Fingerprints every file in assets/images/photos/ and reports exact copies
+ *              and near-duplicates (the same shot resized or recompressed) with the
+ *              gallery-data ids and categories that use them. Pairs that have been reviewed
+ *              and kept are recorded in assets/data/duplicates-baseline.json; --check fails
+ *              only when a pair that is not in the baseline turns up.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ *
+ * Usage:
+ *   npm run gallery:duplicates                          Report duplicate pairs
+ *   npm run gallery:duplicates -- --check               Exit non-zero on pairs missing from the baseline
+ *   npm run gallery:duplicates -- --update-baseline     Accept the current pairs as known
+ *   npm run gallery:duplicates -- --threshold 8         Override the near-duplicate distance
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+    PATHS,
+    PHOTO_EXTENSIONS,
+    readGalleryData,
+    toAssetPath
+} = require('./lib/gallery-data');
+const { fingerprintPhoto, getHashDistance } = require('./lib/photo-hash');
+
+/**
+ * Duplicate finder configuration
+ * @type {Object}
+ * @property {number} threshold - Largest dHash distance (of 64 bits) reported as a near-duplicate.
+ *           Recompressed copies land within a few bits; different shots of one event are 14+ apart.
+ */
+const CONFIG = {
+    threshold: 10
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{check: boolean, updateBaseline: boolean, threshold: number}} Options
+ */
+function parseArgs(argv) {
+    const options = {
+        check: argv.includes('--check'),
+        updateBaseline: argv.includes('--update-baseline'),
+        threshold: CONFIG.threshold
+    };
+
+    const index = argv.indexOf('--threshold');
+    if (index !== -1) {
+        options.threshold = Number(argv[index + 1]);
+        if (!Number.isInteger(options.threshold) || options.threshold < 0 || options.threshold > 64) {
+            throw new Error('--threshold must be a whole number from 0 to 64');
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Get the key of a pair of photos, independent of their order
+ * @param {Array<string>} files - Two asset paths
+ * @returns {string} Pair key
+ */
+function getPairKey(files) {
+    return [...files].sort().join('|');
+}
+
+/**
+ * Read the reviewed pairs
+ * @returns {Array<Object>} Baseline pairs ({files, kind, distance}), empty if there is no baseline yet
+ */
+function readBaseline() {
+    if (!fs.existsSync(PATHS.duplicates)) return [];
+    return JSON.parse(fs.readFileSync(PATHS.duplicates, 'utf8')).pairs || [];
+}
+
+/**
+ * Record the current pairs as reviewed
+ * @param {Array<Object>} pairs - Duplicate pairs
+ * @returns {void}
+ */
+function writeBaseline(pairs) {
+    const baseline = {
+        description: 'Duplicate photo pairs that have been reviewed and kept. ' +
+            'Update with `npm run gallery:duplicates -- --update-baseline`.',
+        pairs: pairs.map(({ files, kind, distance }) => ({ files, kind, distance }))
+    };
+    fs.writeFileSync(PATHS.duplicates, JSON.stringify(baseline, null, 4));
+}
+
+/**
+ * Fingerprint every photo in the photos folder
+ * @returns {Promise<Array<{file: string, sha256: string, dhash: string}>>} Fingerprints by asset path
+ */
+async function fingerprintPhotos() {
+    const files = fs.readdirSync(PATHS.photos)
+        .filter(file => PHOTO_EXTENSIONS.test(file))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const fingerprints = [];
+
+    for (const file of files) {
+        const filePath = path.join(PATHS.photos, file);
+        fingerprints.push({ file: toAssetPath(filePath), ...await fingerprintPhoto(filePath) });
+    }
+
+    return fingerprints;
+}
+
+/**
+ * Find exact and near-duplicate pairs
+ * @param {Array<Object>} fingerprints - Photo fingerprints
+ * @param {number} threshold - Largest distance reported as a near-duplicate
+ * @returns {Array<{files: Array<string>, kind: string, distance: number}>} Pairs, closest first
+ */
+function findPairs(fingerprints, threshold) {
+    const pairs = [];
+
+    for (let i = 0; i < fingerprints.length; i++) {
+        for (let j = i + 1; j < fingerprints.length; j++) {
+            const a = fingerprints[i];
+            const b = fingerprints[j];
+            const files = [a.file, b.file];
+
+            if (a.sha256 === b.sha256) {
+                pairs.push({ files, kind: 'exact', distance: 0 });
+                continue;
+            }
+
+            const distance = getHashDistance(a.dhash, b.dhash);
+            if (distance <= threshold) {
+                pairs.push({ files, kind: 'near', distance });
+            }
+        }
+    }
+
+    return pairs.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Describe where a photo is used in the gallery
+ * @param {string} file - Asset path
+ * @param {Map<string, Array<Object>>} usage - Gallery images by path
+ * @returns {string} Ids and categories, e.g. "img-015 talent_test"
+ */
+function describeUsage(file, usage) {
+    const images = usage.get(file);
+    if (!images) return 'not in gallery-data';
+    return images.map(image => `${image.id} ${image.category}`).join(', ');
+}
+
+/**
+ * Find duplicate photos and print a report
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const data = readGalleryData();
+
+    const usage = new Map();
+    data.images.forEach(image => {
+        if (!usage.has(image.path)) usage.set(image.path, []);
+        usage.get(image.path).push(image);
+    });
+
+    const fingerprints = await fingerprintPhotos();
+    const pairs = findPairs(fingerprints, options.threshold);
+
+    if (options.updateBaseline) {
+        writeBaseline(pairs);
+        console.log(`✓ Recorded ${pairs.length} known pair(s) in ${toAssetPath(PATHS.duplicates)}`);
+        return;
+    }
+
+    const known = new Set(readBaseline().map(pair => getPairKey(pair.files)));
+    const found = new Set(pairs.map(pair => getPairKey(pair.files)));
+    let newPairs = 0;
+
+    pairs.forEach(({ files, kind, distance }) => {
+        const isKnown = known.has(getPairKey(files));
+        if (!isKnown) newPairs++;
+
+        const label = kind === 'exact' ? 'exact copy' : `near-duplicate, distance ${distance}`;
+        console.log(`${isKnown ? '·' : '✗'} ${label}${isKnown ? ' (known)' : ''}`);
+        files.forEach(file => console.log(`    ${file} (${describeUsage(file, usage)})`));
+    });
+
+    const resolved = [...known].filter(key => !found.has(key));
+    if (resolved.length > 0) {
+        console.log(`\n${resolved.length} baseline pair(s) no longer found - run with --update-baseline to drop them`);
+    }
+
+    console.log(`\nChecked ${fingerprints.length} photos: ${pairs.length} duplicate pair(s), ${newPairs} new ` +
+        `(near-duplicate distance ≤ ${options.threshold} of 64)`);
+
+    if (options.check && newPairs > 0) {
+        console.error('✗ New duplicate photos - remove them, or run ' +
+            '`npm run gallery:duplicates -- --update-baseline` to keep them');
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('Duplicate check failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Gallery Photo Importer
+ * @description Adds a folder of new photos to the gallery: copies them into
+ *              assets/images/photos/ under the next sequential ids, asks for (or takes
+ *              from flags) their category, description, alt text and date, appends them
+ *              after the existing images (whose order is left alone), updates lastUpdated
+ *              and writes gallery-data.json in its existing formatting. Dates and dimensions
+ *              come from EXIF when the photo has them, and the copies are stripped of GPS and
+ *              other personal metadata. Nothing is kept if validation or copying fails.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ *
+ * Usage:
+ *   npm run gallery:add -- <folder> [options]
+ *
+ * Options:
+ *   --category <key>      Category for every photo (e.g. talent_test)
+ *   --description <text>  Description for every photo
+ *   --alt <text>          Alt text - repeat once per photo, in file name order
+ *   --date <YYYY-MM-DD>   Date the photos were taken (default: each photo's EXIF date)
+ *   --year <YYYY>         Year, when the exact date is unknown
+ *   --event <text>        Event name that groups the photos on the timeline
+ *   --yes                 Don't prompt - every required value must come from flags
+ *   --dry-run             Show the new entries and validate them without writing anything
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const {
+    PATHS,
+    PHOTO_EXTENSIONS,
+    readGalleryData,
+    readPeople,
+    writeGalleryData,
+    toAssetPath
+} = require('./lib/gallery-data');
+const { validateGalleryData } = require('./lib/validate-gallery-data');
+const { readPhotoMetadata, stripPhotoMetadata } = require('./lib/photo-metadata');
+
+const USAGE = 'Usage: npm run gallery:add -- <folder> [--category <key>] [--description <text>] ' +
+    '[--alt <text>]... [--date YYYY-MM-DD | --year YYYY] [--event <text>] [--yes] [--dry-run]';
+
+// Flags that take a value; --alt may be repeated
+const VALUE_FLAGS = new Set(['category', 'description', 'alt', 'date', 'year', 'event']);
+const BOOLEAN_FLAGS = new Set(['yes', 'dry-run', 'help']);
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{folder: (string|undefined), flags: Object}} Folder and flags (alt is an array)
+ */
+function parseArgs(argv) {
+    const flags = { alt: [] };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) {
+            positional.push(argv[i]);
+            continue;
+        }
+
+        const [, name, inlineValue] = match;
+        if (BOOLEAN_FLAGS.has(name)) {
+            flags[name] = true;
+        } else if (VALUE_FLAGS.has(name)) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new Error(`--${name} needs a value`);
+            }
+            if (name === 'alt') {
+                flags.alt.push(value);
+            } else {
+                flags[name] = value;
+            }
+        } else {
+            throw new Error(`unknown option --${name}`);
+        }
+    }
+
+    if (positional.length > 1) {
+        throw new Error(`expected one folder, got ${positional.join(', ')}`);
+    }
+
+    return { folder: positional[0], flags };
+}
+
+/**
+ * List the photos in a folder, in natural file name order (2.jpg before 10.jpg)
+ * @param {string} folder - Folder to import from
+ * @returns {Array<string>} Absolute photo paths
+ */
+function listPhotos(folder) {
+    return fs.readdirSync(folder)
+        .filter(file => PHOTO_EXTENSIONS.test(file))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }))
+        .map(file => path.join(folder, file));
+}
+
+/**
+ * Get the number of an image id
+ * @param {string} id - Image id such as 'img-045'
+ * @returns {number} Id number, or 0 if the id has no number
+ */
+function getIdNumber(id) {
+    const match = /^img-(\d+)$/.exec(id || '');
+    return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Today's date in the local time zone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getToday() {
+    const today = new Date();
+    return [
+        today.getFullYear(),
+        String(today.getMonth() + 1).padStart(2, '0'),
+        String(today.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Ask a question on the terminal
+ * @param {readline.Interface|null} prompt - Terminal prompt, or null when not interactive
+ * @param {string} question - Question text
+ * @param {string} [defaultValue=''] - Value used for an empty answer, and when not interactive
+ * @returns {Promise<string>} Trimmed answer
+ */
+async function ask(prompt, question, defaultValue = '') {
+    if (!prompt) return defaultValue;
+
+    const answer = (await prompt.question(`${question}${defaultValue ? ` [${defaultValue}]` : ''}: `)).trim();
+    return answer || defaultValue;
+}
+
+/**
+ * Ask for the values shared by every photo in the import
+ * @param {readline.Interface|null} prompt - Terminal prompt, or null when not interactive
+ * @param {Object} flags - Parsed flags
+ * @param {Object} categories - Categories from gallery-data.json
+ * @param {boolean} hasExifDates - Whether the photos have EXIF dates to fall back on
+ * @returns {Promise<{category: string, date: string, year: string, event: string}>} Shared values
+ */
+async function askSharedValues(prompt, flags, categories, hasExifDates) {
+    let category = flags.category || '';
+
+    if (prompt && !(category in categories)) {
+        console.log('\nCategories:');
+        Object.entries(categories).forEach(([key, value]) => {
+            console.log(`  ${key.padEnd(28)} ${typeof value === 'string' ? value : value.label}`);
+        });
+    }
+    while (prompt && !(category in categories)) {
+        category = await ask(prompt, 'Category', category);
+        if (!(category in categories)) {
+            console.log(`  "${category}" is not a category - pick one of the keys above`);
+            category = '';
+        }
+    }
+
+    const dateHint = hasExifDates ? 'blank to use each photo\'s EXIF date' : 'blank if unknown';
+    const date = await ask(prompt, `Date taken (YYYY-MM-DD, ${dateHint})`, flags.date || '');
+    const year = date ? '' : await ask(prompt, 'Year taken (blank if unknown)', flags.year || '');
+    const event = await ask(prompt, 'Event (groups the photos on the timeline, blank for none)', flags.event || '');
+
+    return { category, date, year, event };
+}
+
+/**
+ * Get the EXIF date to use for a photo, unless it contradicts the year that was typed in
+ * @param {string|null} dateTaken - EXIF date (YYYY-MM-DD)
+ * @param {string} year - Year from --year or the prompt ('' if none)
+ * @param {string} file - Photo file name, for the warning
+ * @returns {string} EXIF date, or '' to keep the typed year
+ */
+function getExifDate(dateTaken, year, file) {
+    if (!dateTaken) return '';
+
+    // A year typed by a person wins over a camera clock, as in gallery:exif
+    if (year && Number(year) !== Number(dateTaken.slice(0, 4))) {
+        console.warn(`⚠ ${file}: EXIF date ${dateTaken} doesn't match year ${year} - keeping year ${year}`);
+        return '';
+    }
+    return dateTaken;
+}
+
+/**
+ * Build the gallery entries for the photos being imported
+ * @param {Array<string>} photos - Absolute photo paths
+ * @param {Array<Object>} metadata - Photo metadata from readPhotoMetadata(), in the same order
+ * @param {Object} options - Options
+ * @param {readline.Interface|null} options.prompt - Terminal prompt, or null when not interactive
+ * @param {Object} options.flags - Parsed flags
+ * @param {Object} options.shared - Category, date, year and event for every photo
+ * @param {number} options.firstNumber - Number of the first new id
+ * @returns {Promise<Array<{source: string, entry: Object, metadata: Object}>>} Photos with their new entries
+ */
+async function buildEntries(photos, metadata, { prompt, flags, shared, firstNumber }) {
+    const imports = [];
+    let description = flags.description || '';
+
+    for (let i = 0; i < photos.length; i++) {
+        const source = photos[i];
+        const { dateTaken, width, height } = metadata[i];
+        const date = shared.date || getExifDate(dateTaken, shared.year, path.basename(source));
+        const number = firstNumber + i;
+        const name = `${number}${path.extname(source).toLowerCase()}`;
+
+        if (prompt) {
+            console.log(`\nimg-${String(number).padStart(3, '0')} ← ${path.basename(source)}`);
+        }
+
+        // Photos from one event usually share a description - offer the previous one
+        description = await ask(prompt, 'Description', description);
+        const alt = await ask(prompt, 'Alt text (what the photo shows)', flags.alt[i] || '');
+
+        const entry = {
+            id: `img-${String(number).padStart(3, '0')}`,
+            name,
+            path: toAssetPath(path.join(PATHS.photos, name)),
+            description,
+            category: shared.category,
+            alt
+        };
+        if (date) {
+            entry.date = date;
+            entry.year = Number(date.slice(0, 4));
+        } else if (shared.year) {
+            entry.year = Number(shared.year);
+        }
+        if (shared.event) {
+            entry.event = shared.event;
+        }
+        entry.width = width;
+        entry.height = height;
+
+        imports.push({ source, entry, metadata: metadata[i] });
+    }
+
+    return imports;
+}
+
+/**
+ * Remove the photos copied by an import that failed
+ * @param {Array<string>} copied - Absolute paths of the copies
+ * @returns {void}
+ */
+function removeCopies(copied) {
+    copied.forEach(target => fs.rmSync(target, { force: true }));
+}
+
+/**
+ * Import the photos and update gallery-data.json
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const { folder, flags } = parseArgs(process.argv.slice(2));
+
+    if (flags.help || !folder) {
+        console.log(USAGE);
+        if (!folder && !flags.help) process.exitCode = 1;
+        return;
+    }
+    if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+        throw new Error(`${folder} is not a folder`);
+    }
+
+    const photos = listPhotos(folder);
+    if (photos.length === 0) {
+        throw new Error(`no photos (.jpg, .jpeg, .png, .webp) found in ${folder}`);
+    }
+    if (flags.alt.length > photos.length) {
+        throw new Error(`got ${flags.alt.length} --alt values for ${photos.length} photos`);
+    }
+
+    const data = readGalleryData();
+    const firstNumber = Math.max(0, ...data.images.map(image => getIdNumber(image.id))) + 1;
+
+    // Never overwrite a photo that is already in the gallery folder
+    const taken = photos
+        .map((source, i) => `${firstNumber + i}${path.extname(source).toLowerCase()}`)
+        .filter(name => fs.existsSync(path.join(PATHS.photos, name)));
+    if (taken.length > 0) {
+        throw new Error(`${taken.join(', ')} already exist in ${toAssetPath(PATHS.photos)} - remove or list them first`);
+    }
+
+    const metadata = [];
+    for (const photo of photos) {
+        metadata.push(await readPhotoMetadata(photo));
+    }
+
+    const interactive = !flags.yes && process.stdin.isTTY;
+    const prompt = interactive ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
+
+    let imports;
+    try {
+        console.log(`Importing ${photos.length} photo(s) from ${folder}`);
+        const hasExifDates = metadata.some(({ dateTaken }) => dateTaken);
+        const shared = await askSharedValues(prompt, flags, data.categories, hasExifDates);
+        imports = await buildEntries(photos, metadata, { prompt, flags, shared, firstNumber });
+    } finally {
+        prompt?.close();
+    }
+
+    const updated = {
+        ...data,
+        lastUpdated: getToday(),
+        images: [...data.images, ...imports.map(({ entry }) => entry)]
+    };
+
+    if (flags['dry-run']) {
+        console.log(`\n${JSON.stringify(imports.map(({ entry }) => entry), null, 4)}`);
+
+        // The photos aren't copied, so only the entries themselves can be checked
+        const { errors, warnings } = validateGalleryData(updated, { checkFiles: false, people: readPeople() });
+        warnings.forEach(warning => console.warn(`⚠ ${warning}`));
+        errors.forEach(error => console.error(`✗ ${error}`));
+        console.log(`\nDry run - nothing written (${errors.length} error(s), ${warnings.length} warning(s))`);
+        if (errors.length > 0) process.exitCode = 1;
+        return;
+    }
+
+    // Copy first so the file checks see the new photos; undo the copies if anything fails
+    const copied = [];
+    try {
+        for (const { source, entry, metadata: { privateData, orientation } } of imports) {
+            const target = path.join(PATHS.root, entry.path);
+            const contents = privateData.length > 0 ? await stripPhotoMetadata(source, orientation) : fs.readFileSync(source);
+
+            // 'wx' never overwrites a photo - once the file is open, it is ours to remove
+            const file = fs.openSync(target, 'wx');
+            copied.push(target);
+            try {
+                fs.writeFileSync(file, contents);
+            } finally {
+                fs.closeSync(file);
+            }
+        }
+
+        const { errors, warnings } = validateGalleryData(updated, { people: readPeople() });
+        warnings.forEach(warning => console.warn(`⚠ ${warning}`));
+
+        if (errors.length > 0) {
+            removeCopies(copied);
+            errors.forEach(error => console.error(`✗ ${error}`));
+            console.error(`\n${errors.length} error(s) - ${toAssetPath(PATHS.data)} was not changed and no photos were copied`);
+            process.exitCode = 1;
+            return;
+        }
+
+        writeGalleryData(updated);
+    } catch (error) {
+        removeCopies(copied);
+        throw new Error(`${error.message} - ${toAssetPath(PATHS.data)} was not changed and no photos were copied`);
+    }
+
+    imports.forEach(({ source, entry, metadata: { privateData } }) => {
+        const removed = privateData.length > 0 ? ` (removed ${privateData.join(', ')})` : '';
+        console.log(`✓ ${entry.id} ${entry.path} ← ${path.basename(source)}${removed}`);
+    });
+    console.log(`\nAdded ${imports.length} photo(s) to ${toAssetPath(PATHS.data)}. ` +
+        'Run `npm run build:images` to generate their variants and placeholders, ' +
+        'then `npm run build:gallery` to add them to gallery.html.');
+}
+
+main().catch(error => {
+    console.error(`✗ ${error.message}`);
+    console.error(USAGE);
+    process.exitCode = 1;
+});
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Gallery Data Helpers
+ * @description Shared paths and read/write helpers for the Node scripts that
+ *              maintain assets/data/gallery-data.json and the people.json registry.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+// Files the gallery accepts as photos
+const PHOTO_EXTENSIONS = /\.(jpe?g|png|webp)$/i;
+
+const PATHS = {
+    root: ROOT_DIR,
+    data: path.join(ROOT_DIR, 'assets/data/gallery-data.json'),
+    people: path.join(ROOT_DIR, 'assets/data/people.json'),
+    duplicates: path.join(ROOT_DIR, 'assets/data/duplicates-baseline.json'),
+    team: path.join(ROOT_DIR, 'team.html'),
+    galleryPage: path.join(ROOT_DIR, 'gallery.html'),
+    galleryScript: path.join(ROOT_DIR, 'assets/js/gallery.js'),
+    galleryMarkup: path.join(ROOT_DIR, 'assets/js/gallery-markup.js'),
+    photos: path.join(ROOT_DIR, 'assets/images/photos'),
+    variants: path.join(ROOT_DIR, 'assets/images/variants')
+};
+
+// Order of the fields in an image entry, so fields added by the scripts land where a person would put them
+const IMAGE_FIELD_ORDER = [
+    'id', 'type', 'name', 'path', 'description', 'category', 'alt', 'date', 'year', 'event',
+    'people', 'photographer', 'transcript', 'transcript_te', 'sources', 'tracks',
+    'width', 'height', 'variants', 'placeholder'
+];
+
+/**
+ * Read and parse gallery-data.json
+ * @returns {Object} Gallery data
+ */
+function readGalleryData() {
+    return JSON.parse(fs.readFileSync(PATHS.data, 'utf8'));
+}
+
+/**
+ * Read and parse the people registry (people.json)
+ * @returns {Object} People registry
+ */
+function readPeople() {
+    return JSON.parse(fs.readFileSync(PATHS.people, 'utf8'));
+}
+
+/**
+ * Write gallery-data.json, keeping the file's existing 4-space formatting
+ * @param {Object} data - Gallery data
+ * @returns {void}
+ */
+function writeGalleryData(data) {
+    fs.writeFileSync(PATHS.data, JSON.stringify(data, null, 4));
+}
+
+/**
+ * Set fields on an image entry, keeping the entry's fields in their usual order
+ * @param {Object} image - Image entry from gallery-data.json
+ * @param {Object} fields - Fields to set
+ * @returns {Object} New image entry
+ */
+function setImageFields(image, fields) {
+    const merged = { ...image, ...fields };
+    const known = IMAGE_FIELD_ORDER.filter(key => key in merged);
+    const others = Object.keys(merged).filter(key => !IMAGE_FIELD_ORDER.includes(key));
+    return Object.fromEntries([...known, ...others].map(key => [key, merged[key]]));
+}
+
+/**
+ * Convert a repository-relative path (as stored in the data file) to an absolute path
+ * @param {string} relativePath - Path such as 'assets/images/photos/1.jpeg'
+ * @returns {string} Absolute path
+ */
+function resolveAssetPath(relativePath) {
+    return path.join(ROOT_DIR, relativePath);
+}
+
+/**
+ * Convert an absolute path to the forward-slash repository-relative form used in the data file
+ * @param {string} absolutePath - Absolute path
+ * @returns {string} Repository-relative path
+ */
+function toAssetPath(absolutePath) {
+    return path.relative(ROOT_DIR, absolutePath).split(path.sep).join('/');
+}
+
+module.exports = {
+    PATHS,
+    PHOTO_EXTENSIONS,
+    readGalleryData,
+    readPeople,
+    writeGalleryData,
+    setImageFields,
+    resolveAssetPath,
+    toAssetPath
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Photo Fingerprints
+ * @description File and perceptual hashes for finding duplicate photos. The SHA-256 of
+ *              the file catches byte-for-byte copies; the difference hash (dHash) of the
+ *              picture catches the same shot resized, recompressed (WhatsApp does both)
+ *              or lightly edited.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const sharp = require('sharp');
+
+// The dHash compares each pixel of a 9x8 greyscale thumbnail with its right neighbour - 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Hash the contents of a file
+ * @param {string} file - File path
+ * @returns {string} Hex SHA-256 digest
+ */
+function getFileHash(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Compute the difference hash of a photo
+ * @description Each bit records whether brightness falls from one pixel to the next, so
+ *              the hash survives scaling, compression and colour changes.
+ * @param {string} file - Photo path
+ * @returns {Promise<string>} 64-bit hash as 16 hex digits
+ */
+async function getDifferenceHash(file) {
+    const pixels = await sharp(file)
+        .rotate()
+        .grayscale()
+        .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const i = y * HASH_WIDTH + x;
+            hash = (hash << 1n) | (pixels[i] > pixels[i + 1] ? 1n : 0n);
+        }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Fingerprint a photo
+ * @param {string} file - Photo path
+ * @returns {Promise<{sha256: string, dhash: string}>} File and perceptual hashes
+ */
+async function fingerprintPhoto(file) {
+    return { sha256: getFileHash(file), dhash: await getDifferenceHash(file) };
+}
+
+/**
+ * Count the bits that differ between two difference hashes
+ * @param {string} a - Hash as hex
+ * @param {string} b - Hash as hex
+ * @returns {number} Distance from 0 (same picture) to 64
+ */
+function getHashDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff) {
+        distance += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return distance;
+}
+
+module.exports = {
+    fingerprintPhoto,
+    getHashDistance
+};
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Photo Metadata Helpers
+ * @description Reads the EXIF fields the gallery uses (date taken, orientation, camera) and
+ *              removes the rest before photos are published. Many photos show children at
+ *              their homes and schools, so GPS positions, owner names and serial numbers
+ *              must not reach the site. JPEGs are cleaned without re-encoding.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const sharp = require('sharp');
+
+// EXIF tags read from IFD0 and the Exif sub-IFD
+const TAGS = {
+    imageDescription: 0x010E,
+    make: 0x010F,
+    model: 0x0110,
+    orientation: 0x0112,
+    dateTime: 0x0132,
+    artist: 0x013B,
+    copyright: 0x8298,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    dateTimeOriginal: 0x9003,
+    makerNote: 0x927C,
+    userComment: 0x9286,
+    imageUniqueId: 0xA420,
+    cameraOwnerName: 0xA430,
+    bodySerialNumber: 0xA431
+};
+
+// Personal data the stripped file must not carry, by the tags that hold it
+const PRIVATE_TAGS = [
+    { label: 'GPS location', tags: [TAGS.gpsIfd] },
+    { label: 'owner name', tags: [TAGS.artist, TAGS.copyright, TAGS.cameraOwnerName] },
+    { label: 'serial number', tags: [TAGS.bodySerialNumber, TAGS.imageUniqueId] },
+    { label: 'maker notes', tags: [TAGS.makerNote] },
+    { label: 'comments', tags: [TAGS.imageDescription, TAGS.userComment] }
+];
+
+// JPEG segments kept when cleaning: JFIF header and Adobe colour transform. APP2 is kept only
+// for the ICC colour profile - it also carries MPF, which embeds further images with their own EXIF.
+const KEPT_JPEG_SEGMENTS = new Set([0xE0, 0xEE]);
+const JPEG_APP2 = 0xE2;
+const JPEG_SOS = 0xDA;
+const JPEG_EOI = 0xD9;
+const JPEG_COM = 0xFE;
+const ICC_PROFILE_ID = Buffer.from('ICC_PROFILE\0', 'latin1');
+const MPF_ID = Buffer.from('MPF\0', 'latin1');
+
+/**
+ * Parse the TIFF structure of an EXIF block
+ * @param {Buffer} exif - EXIF block as returned by sharp (starting with "Exif\0\0")
+ * @returns {{tags: Map<number, *>, exifTags: Map<number, *>}} IFD0 and Exif sub-IFD values
+ */
+function parseTiff(exif) {
+    const tiff = exif.toString('latin1', 0, 4) === 'Exif' ? exif.subarray(6) : exif;
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const readUInt16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const readUInt32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    /**
+     * Read the entries of one IFD, decoding ASCII, SHORT and LONG values
+     * @param {number} offset - IFD offset from the start of the TIFF header
+     * @returns {Map<number, *>} Values by tag (other types map to true)
+     */
+    const readIfd = offset => {
+        const values = new Map();
+        if (!offset || offset + 2 > tiff.length) return values;
+
+        const count = readUInt16(offset);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > tiff.length) break;
+
+            const tag = readUInt16(entry);
+            const type = readUInt16(entry + 2);
+            const length = readUInt32(entry + 4);
+
+            if (type === 2) {
+                const start = length > 4 ? readUInt32(entry + 8) : entry + 8;
+                values.set(tag, tiff.toString('latin1', start, Math.min(start + length, tiff.length)).replace(/\0+$/, '').trim());
+            } else if (type === 3) {
+                values.set(tag, readUInt16(entry + 8));
+            } else if (type === 4) {
+                values.set(tag, readUInt32(entry + 8));
+            } else {
+                values.set(tag, true);
+            }
+        }
+        return values;
+    };
+
+    if (readUInt16(2) !== 42) {
+        throw new Error('not a TIFF structure');
+    }
+
+    const tags = readIfd(readUInt32(4));
+    const exifTags = readIfd(tags.get(TAGS.exifIfd));
+    return { tags, exifTags };
+}
+
+/**
+ * Convert an EXIF date to the data file's format
+ * @param {string} [value] - EXIF date such as '2019:08:15 10:42:07'
+ * @returns {string|null} Date as YYYY-MM-DD, or null if unset or malformed
+ */
+function toIsoDate(value) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match || match[1] === '0000') return null;
+    return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+/**
+ * Read the metadata of a photo
+ * @param {string} file - Photo path
+ * @returns {Promise<Object>} Display width and height (orientation applied), orientation,
+ *          dateTaken (YYYY-MM-DD or null), camera (or null) and privateData - labels for
+ *          everything stripping would remove, empty when the file is clean
+ */
+async function readPhotoMetadata(file) {
+    const contents = fs.readFileSync(file);
+    const { width, height, orientation = 1, exif, xmp, iptc, comments } = await sharp(contents).metadata();
+    const result = {
+        // Orientations 5-8 are rotated by 90 degrees
+        width: orientation >= 5 ? height : width,
+        height: orientation >= 5 ? width : height,
+        orientation,
+        dateTaken: null,
+        camera: null,
+        privateData: []
+    };
+
+    if (exif) {
+        let parsed;
+        try {
+            parsed = parseTiff(exif);
+        } catch (error) {
+            parsed = { tags: new Map(), exifTags: new Map() };
+            result.privateData.push('unreadable EXIF');
+        }
+
+        const { tags, exifTags } = parsed;
+        const has = tag => tags.has(tag) || exifTags.has(tag);
+
+        result.dateTaken = toIsoDate(exifTags.get(TAGS.dateTimeOriginal)) || toIsoDate(tags.get(TAGS.dateTime));
+
+        const make = tags.get(TAGS.make) || '';
+        const model = tags.get(TAGS.model) || '';
+        // Models usually repeat the make ('Canon' + 'Canon EOS 550D')
+        result.camera = (model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`).trim() || null;
+
+        PRIVATE_TAGS.forEach(({ label, tags: privateTags }) => {
+            if (privateTags.some(has)) result.privateData.push(label);
+        });
+
+        // Only the orientation tag survives stripping
+        const otherTags = [...tags.keys(), ...exifTags.keys()].filter(tag => tag !== TAGS.orientation);
+        if (result.privateData.length === 0 && otherTags.length > 0) {
+            result.privateData.push('camera details');
+        }
+    }
+
+    if (xmp) result.privateData.push('XMP');
+    if (iptc) result.privateData.push('IPTC');
+    if (comments && comments.length > 0) result.privateData.push('comments');
+
+    // sharp only describes the primary image - look for what rides along with it
+    if (isJpeg(contents)) {
+        const { segments, end } = parseJpeg(contents);
+        if (end < contents.length) {
+            result.privateData.push('data after the image');
+        }
+        if (segments.some(segment => segment.marker === JPEG_APP2 && hasSegmentId(contents, segment, MPF_ID))) {
+            result.privateData.push('MPF (embedded images)');
+        }
+        if (result.privateData.length === 0 && !stripJpeg(contents, orientation).equals(contents)) {
+            result.privateData.push('other metadata');
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Check whether file contents are a JPEG
+ * @param {Buffer} contents - File contents
+ * @returns {boolean} True if the contents start with a JPEG start-of-image marker
+ */
+function isJpeg(contents) {
+    return contents[0] === 0xFF && contents[1] === 0xD8;
+}
+
+/**
+ * Check the identifier at the start of a segment's payload
+ * @param {Buffer} jpeg - JPEG file contents
+ * @param {{start: number, end: number}} segment - Segment from parseJpeg()
+ * @param {Buffer} id - Identifier such as 'ICC_PROFILE\0'
+ * @returns {boolean} True if the payload starts with the identifier
+ */
+function hasSegmentId(jpeg, segment, id) {
+    const payload = segment.start + 4;
+    return payload + id.length <= segment.end && jpeg.subarray(payload, payload + id.length).equals(id);
+}
+
+/**
+ * Find where the entropy-coded data of a scan ends
+ * @description Scan data runs to the next marker. 0xFF00 is an escaped data byte and
+ *              restart markers (RST0-7) belong to the scan.
+ * @param {Buffer} jpeg - JPEG file contents
+ * @param {number} offset - First byte after the start-of-scan header
+ * @returns {number} Offset of the marker that ends the scan
+ */
+function findScanEnd(jpeg, offset) {
+    for (let i = offset; i < jpeg.length - 1; i++) {
+        const next = jpeg[i + 1];
+        if (jpeg[i] === 0xFF && next !== 0x00 && next !== 0xFF && !(next >= 0xD0 && next <= 0xD7)) {
+            return i;
+        }
+    }
+    return jpeg.length;
+}
+
+/**
+ * Split a JPEG into its segments, up to the end-of-image marker
+ * @param {Buffer} jpeg - JPEG file contents
+ * @returns {{segments: Array<{marker: number, start: number, end: number}>, end: number, hasEoi: boolean}}
+ *          Segments after the start-of-image marker (a scan includes its data), and the offset
+ *          just past the end-of-image marker - anything from there on is not part of the image
+ */
+function parseJpeg(jpeg) {
+    const segments = [];
+    let offset = 2;
+
+    while (offset < jpeg.length) {
+        if (jpeg[offset] !== 0xFF) {
+            throw new Error(`unexpected data at byte ${offset}`);
+        }
+
+        const marker = jpeg[offset + 1];
+        // Fill bytes before a marker
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === JPEG_EOI) {
+            return { segments, end: offset + 2, hasEoi: true };
+        }
+        // Restart and TEM markers have no length
+        if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+            segments.push({ marker, start: offset, end: offset + 2 });
+            offset += 2;
+            continue;
+        }
+
+        // A segment cut off by the end of the file can't be copied as it is
+        if (offset + 4 > jpeg.length) {
+            throw new Error(`segment at byte ${offset} is cut off`);
+        }
+        let end = offset + 2 + jpeg.readUInt16BE(offset + 2);
+        if (end > jpeg.length) {
+            throw new Error(`segment at byte ${offset} runs past the end of the file`);
+        }
+        // Progressive JPEGs have several scans, with tables between them
+        if (marker === JPEG_SOS) {
+            end = findScanEnd(jpeg, end);
+        }
+        segments.push({ marker, start: offset, end });
+        offset = end;
+    }
+
+    // Scan data cut short - keep what is there
+    return { segments, end: jpeg.length, hasEoi: false };
+}
+
+/**
+ * Check whether a JPEG segment survives cleaning
+ * @param {Buffer} jpeg - JPEG file contents
+ * @param {{marker: number, start: number, end: number}} segment - Segment from parseJpeg()
+ * @returns {boolean} True to keep the segment
+ */
+function isKeptSegment(jpeg, segment) {
+    const { marker } = segment;
+    if (marker === JPEG_COM) return false;
+    if (marker === JPEG_APP2) return hasSegmentId(jpeg, segment, ICC_PROFILE_ID);
+    if (marker >= 0xE0 && marker <= 0xEF) return KEPT_JPEG_SEGMENTS.has(marker);
+    return true;
+}
+
+/**
+ * Build a minimal EXIF segment that only records the orientation
+ * @description Browsers and the image build rotate photos by this tag, so it must survive.
+ * @param {number} orientation - EXIF orientation (2-8)
+ * @returns {Buffer} JPEG APP1 segment
+ */
+function createOrientationSegment(orientation) {
+    const payload = Buffer.alloc(32);
+    payload.write('Exif\0\0', 0, 'latin1');
+    payload.write('MM', 6, 'latin1');
+    payload.writeUInt16BE(42, 8);
+    payload.writeUInt32BE(8, 10);           // IFD0 follows the header
+    payload.writeUInt16BE(1, 14);           // One entry
+    payload.writeUInt16BE(TAGS.orientation, 16);
+    payload.writeUInt16BE(3, 18);           // SHORT
+    payload.writeUInt32BE(1, 20);
+    payload.writeUInt16BE(orientation, 24);
+    payload.writeUInt32BE(0, 28);           // No next IFD
+
+    const header = Buffer.from([0xFF, 0xE1, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Remove metadata segments from a JPEG without touching the compressed image
+ * @param {Buffer} jpeg - JPEG file contents
+ * @param {number} orientation - EXIF orientation to keep
+ * @returns {Buffer} Cleaned JPEG
+ */
+function stripJpeg(jpeg, orientation) {
+    const { segments, hasEoi } = parseJpeg(jpeg);
+    const kept = [jpeg.subarray(0, 2)];
+
+    segments
+        .filter(segment => isKeptSegment(jpeg, segment))
+        .forEach(({ start, end }) => kept.push(jpeg.subarray(start, end)));
+
+    if (orientation > 1) {
+        // After the JFIF header, which must come first when present
+        const position = kept[1] && kept[1][1] === 0xE0 ? 2 : 1;
+        kept.splice(position, 0, createOrientationSegment(orientation));
+    }
+
+    // Anything after the end of the image (an appended JPEG, trailing data) is dropped
+    if (hasEoi) {
+        kept.push(Buffer.from([0xFF, JPEG_EOI]));
+    }
+
+    return Buffer.concat(kept);
+}
+
+/**
+ * Get a copy of a photo without its EXIF, XMP and IPTC metadata
+ * @description JPEGs keep their compressed data and orientation. Other formats are
+ *              re-encoded by sharp with the orientation applied to the pixels.
+ * @param {string} file - Photo path
+ * @param {number} [orientation=1] - EXIF orientation of the photo
+ * @returns {Promise<Buffer>} Cleaned file contents
+ */
+async function stripPhotoMetadata(file, orientation = 1) {
+    const contents = fs.readFileSync(file);
+    if (isJpeg(contents)) {
+        return stripJpeg(contents, orientation);
+    }
+    return sharp(contents).rotate().toBuffer();
+}
+
+module.exports = {
+    readPhotoMetadata,
+    stripPhotoMetadata
+};
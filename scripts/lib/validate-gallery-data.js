@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Gallery Data Validation
+ * @description Checks gallery-data.json against its JSON Schema and for problems a schema
+ *              cannot express: duplicate ids, missing or orphaned photo and video files, unknown
+ *              categories or covers, empty or duplicate alt text, videos without captions,
+ *              news clippings without transcripts and likely typos in descriptions. Also checks
+ *              the people.json registry and the people tagged in photos.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { PATHS, PHOTO_EXTENSIONS, resolveAssetPath, toAssetPath } = require('./gallery-data');
+
+const SCHEMA_PATH = path.join(PATHS.root, 'assets/data/gallery-data.schema.json');
+const PEOPLE_SCHEMA_PATH = path.join(PATHS.root, 'assets/data/people.schema.json');
+
+// Categories of scanned text that need a transcript for screen readers and search
+const TRANSCRIBED_CATEGORIES = new Set(['news_clippings']);
+
+/**
+ * Build a readable location for an image entry
+ * @param {Object} image - Image entry
+ * @param {number} index - Position in the images array
+ * @returns {string} Location such as 'images[1] (img-002)'
+ */
+function describeImage(image, index) {
+    return `images[${index}]${image && image.id ? ` (${image.id})` : ''}`;
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+/**
+ * Validate the people registry and the people tagged in photos
+ * @description The team page cards are rendered from the registry by `npm run build:team`.
+ * @param {Object} people - Parsed people.json
+ * @param {Array<Object>} images - Gallery image entries
+ * @param {Ajv} ajv - Ajv instance
+ * @returns {Array<string>} Errors found
+ */
+function validatePeople(people, images, ajv) {
+    const errors = [];
+    const file = toAssetPath(PATHS.people);
+
+    const validateSchema = ajv.compile(JSON.parse(fs.readFileSync(PEOPLE_SCHEMA_PATH, 'utf8')));
+    if (!validateSchema(people)) {
+        validateSchema.errors.forEach(error => {
+            const location = error.instancePath.slice(1).replace(/\//g, '.') || 'root';
+            const detail = error.params.additionalProperty
+                ? `unknown property "${error.params.additionalProperty}"`
+                : error.message;
+            errors.push(`${file} ${location}: ${detail}`);
+        });
+    }
+
+    const registry = new Map();
+    (Array.isArray(people.people) ? people.people : []).forEach((person, index) => {
+        if (!person || !person.id) return;
+        if (registry.has(person.id)) {
+            errors.push(`${file} people[${index}]: duplicate id "${person.id}"`);
+        } else {
+            registry.set(person.id, person);
+        }
+    });
+
+    images.forEach((image, index) => {
+        if (!image || !Array.isArray(image.people)) return;
+        image.people
+            .filter(id => !registry.has(id))
+            .forEach(id => {
+                errors.push(`${describeImage(image, index)}: person "${id}" is not in ${file} - add them or fix the id`);
+            });
+    });
+
+    return errors;
+}
+
+/**
+ * Validate gallery data
+ * @param {Object} data - Parsed gallery-data.json
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.checkFiles=true] - Check photo files on disk
+ * @param {Object} [options.people] - Parsed people.json - checks the people tagged in photos
+ * @returns {{errors: Array<string>, warnings: Array<string>}} Problems found
+ */
+function validateGalleryData(data, { checkFiles = true, people = null } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    // 1. JSON Schema
+    const ajv = new Ajv({ allErrors: true });
+    const validateSchema = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')));
+    if (!validateSchema(data)) {
+        validateSchema.errors
+            // "if" only repeats the error from its "then" branch
+            .filter(error => error.keyword !== 'if')
+            .forEach(error => {
+                const imageMatch = error.instancePath.match(/^\/images\/(\d+)(\/.*)?$/);
+                const location = imageMatch
+                    ? `${describeImage(data.images[imageMatch[1]], imageMatch[1])}${imageMatch[2] ? ` ${imageMatch[2].slice(1)}` : ''}`
+                    : error.instancePath.slice(1).replace(/\//g, '.') || 'root';
+                const detail = error.params.additionalProperty
+                    ? `unknown property "${error.params.additionalProperty}"`
+                    : error.message;
+                errors.push(`${location}: ${detail}`);
+            });
+    }
+
+    const images = Array.isArray(data.images) ? data.images : [];
+    const categories = data.categories && typeof data.categories === 'object' ? data.categories : {};
+
+    // 2. Unique ids, known categories, alt text
+    const ids = new Map();
+    const alts = new Map();
+
+    images.forEach((image, index) => {
+        if (!image || typeof image !== 'object') return;
+        const location = describeImage(image, index);
+
+        if (image.id) {
+            if (ids.has(image.id)) {
+                errors.push(`${location}: duplicate id "${image.id}" (also used by images[${ids.get(image.id)}])`);
+            } else {
+                ids.set(image.id, index);
+            }
+        }
+
+        if (image.category && !(image.category in categories)) {
+            errors.push(`${location}: category "${image.category}" is not defined in "categories" - add it or fix the key`);
+        }
+
+        const alt = typeof image.alt === 'string' ? image.alt.trim() : '';
+        if (!alt) {
+            errors.push(`${location}: alt text is empty - describe what the photo shows`);
+        } else {
+            const key = alt.toLowerCase();
+            if (alts.has(key)) {
+                errors.push(`${location}: alt text "${alt}" duplicates images[${alts.get(key)}] - make it specific to this photo`);
+            } else {
+                alts.set(key, index);
+            }
+        }
+
+        if (image.date && image.year && Number(image.date.slice(0, 4)) !== image.year) {
+            errors.push(`${location}: year ${image.year} does not match date ${image.date}`);
+        }
+
+        if (image.path && image.name && path.posix.basename(image.path) !== image.name) {
+            errors.push(`${location}: name "${image.name}" does not match path "${image.path}"`);
+        }
+
+        if (TRANSCRIBED_CATEGORIES.has(image.category) && !image.transcript && !image.transcript_te) {
+            warnings.push(`${location}: news clipping has no transcript - add "transcript" (and "transcript_te") so it can be read and searched`);
+        }
+
+        if (image.type === 'video') {
+            if (!(Array.isArray(image.tracks) && image.tracks.length > 0)) {
+                warnings.push(`${location}: video has no caption track - add a WebVTT file under "tracks"`);
+            }
+        } else if (image.sources || image.tracks) {
+            errors.push(`${location}: "sources" and "tracks" are only used by videos - add "type": "video"`);
+        }
+    });
+
+    // 3. Category covers must point at an image in that category
+    Object.entries(categories).forEach(([key, category]) => {
+        if (!category || typeof category !== 'object' || !category.cover) return;
+        const index = ids.get(category.cover);
+        if (index === undefined) {
+            errors.push(`categories.${key}: cover "${category.cover}" is not an image id`);
+        } else if (images[index].category !== key) {
+            warnings.push(`categories.${key}: cover "${category.cover}" belongs to category "${images[index].category}"`);
+        }
+    });
+
+    // 4. Likely typos - description words one or two letters away from a category label word.
+    //    Ordinary words are often that close too ("ideas"/"Ideal"), so these are only warnings.
+    const knownWords = new Map();
+    Object.values(categories)
+        .map(category => (typeof category === 'string' ? category : category && category.label))
+        .filter(label => typeof label === 'string')
+        .forEach(label => {
+            (label.match(/[A-Za-z]{5,}/g) || []).forEach(word => knownWords.set(word.toLowerCase(), word));
+        });
+
+    images.forEach((image, index) => {
+        if (!image || typeof image.description !== 'string') return;
+
+        (image.description.match(/[A-Za-z]{5,}/g) || []).forEach(word => {
+            const lower = word.toLowerCase();
+            if (knownWords.has(lower)) return;
+
+            for (const [known, label] of knownWords) {
+                // Singular/plural forms of a label word are not typos
+                if (known.replace(/e?s$/, '') === lower.replace(/e?s$/, '')) continue;
+
+                const maxDistance = known.length >= 8 ? 2 : 1;
+                if (Math.abs(known.length - lower.length) <= maxDistance && editDistance(lower, known) <= maxDistance) {
+                    warnings.push(`${describeImage(image, index)}: description has possible typo "${word}" - did you mean "${label}"?`);
+                    break;
+                }
+            }
+        });
+    });
+
+    // 5. People registry and tagged people
+    if (people) {
+        errors.push(...validatePeople(people, images, ajv));
+    } else if (images.some(image => image && Array.isArray(image.people) && image.people.length > 0)) {
+        warnings.push('people tagged in photos were not checked - pass the people.json registry');
+    }
+
+    // 6. Files on disk
+    if (checkFiles) {
+        const listed = new Set();
+
+        images.forEach((image, index) => {
+            if (!image || typeof image.path !== 'string') return;
+            listed.add(image.path);
+            if (!fs.existsSync(resolveAssetPath(image.path))) {
+                errors.push(`${describeImage(image, index)}: file not found at ${image.path}`);
+            }
+
+            [...(image.sources || []), ...(image.tracks || [])]
+                .filter(file => file && typeof file.src === 'string')
+                .filter(file => !fs.existsSync(resolveAssetPath(file.src)))
+                .forEach(file => {
+                    errors.push(`${describeImage(image, index)}: file not found at ${file.src}`);
+                });
+
+            // Variants are build output (git-ignored) - only the deploy build records them
+            const missingVariant = Object.values(image.variants || {})
+                .flatMap(variant => ['jpeg', 'webp', 'avif'].map(format => variant && variant[format]))
+                .find(file => typeof file === 'string' && !fs.existsSync(resolveAssetPath(file)));
+            if (missingVariant) {
+                errors.push(`${describeImage(image, index)}: variant file not found at ${missingVariant} - ` +
+                    'run `npm run build:images` to remove the variant paths (they are recorded on deploy)');
+            }
+        });
+
+        if (fs.existsSync(PATHS.photos)) {
+            fs.readdirSync(PATHS.photos)
+                .filter(file => PHOTO_EXTENSIONS.test(file))
+                .map(file => toAssetPath(path.join(PATHS.photos, file)))
+                .filter(photoPath => !listed.has(photoPath))
+                .forEach(photoPath => {
+                    errors.push(`${photoPath}: photo is not listed in gallery-data.json - add an entry or remove the file`);
+                });
+        }
+    }
+
+    return { errors, warnings };
+}
+
+module.exports = {
+    validateGalleryData
+};
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Gallery Pre-renderer
+ * @description Renders the by-category gallery (category sections and gallery items) from
+ *              gallery-data.json into gallery.html, so search engines and visitors whose
+ *              JavaScript fails still see every photo. The templates are those of
+ *              assets/js/gallery-markup.js, which gallery.js renders with too, so gallery.js
+ *              can hydrate this markup instead of rebuilding it. Run after build:images so
+ *              the markup has the variants and placeholders.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ *
+ * Usage:
+ *   npm run build:gallery              # write the markup into gallery.html
+ *   npm run build:gallery -- --check   # fail if gallery.html is out of date (CI)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { PATHS, readGalleryData, toAssetPath } = require('./lib/gallery-data');
+const {
+    normalizeCategory,
+    groupImagesByCategory,
+    renderGalleryItem,
+    renderCategorySection
+} = require('../assets/js/gallery-markup');
+
+/**
+ * Pre-render configuration
+ * @type {Object}
+ * @property {string} page - Page the markup is written into
+ * @property {RegExp} markers - Start and end comments inside #galleryContainer
+ * @property {string} indent - Indentation of the markers in the page
+ */
+const CONFIG = {
+    page: PATHS.galleryPage,
+    markers: /(<!-- gallery:prerender:start[^>]*-->)[\s\S]*?(<!-- gallery:prerender:end -->)/,
+    indent: '            '
+};
+
+/**
+ * Render every category section with all of its items
+ * @description Every item is in the page for crawlers and visitors without JavaScript;
+ *              gallery.js removes those past its first batch and queues them behind
+ *              its "Show all" button.
+ * @param {Object} data - Gallery data
+ * @returns {{markup: string, count: number}} Markup of the sections and the number of sections
+ */
+function renderGallery(data) {
+    // Same lookup as GalleryManager.getCategory() once the data has loaded
+    const categories = {};
+    Object.entries(data.categories || {}).forEach(([key, value]) => {
+        categories[key] = normalizeCategory(key, value);
+    });
+    const getCategory = key => categories[key] || normalizeCategory(key);
+
+    const sections = Object.entries(groupImagesByCategory(data.images, getCategory)).map(([category, images]) => {
+        const info = getCategory(category);
+        const cover = info.cover && data.images.find(image => image.id === info.cover);
+        const items = images.map(image => renderGalleryItem(image, image.originalIndex));
+        return renderCategorySection(info, { count: images.length, cover, items });
+    });
+
+    return { markup: sections.join('\n'), count: sections.length };
+}
+
+/**
+ * Render the gallery into gallery.html, or check that it is up to date
+ * @returns {void}
+ */
+function main() {
+    const check = process.argv.includes('--check');
+    const data = readGalleryData();
+    const page = fs.readFileSync(CONFIG.page, 'utf8');
+
+    if (!CONFIG.markers.test(page)) {
+        throw new Error(`${toAssetPath(CONFIG.page)} has no <!-- gallery:prerender:start --> / <!-- gallery:prerender:end --> markers`);
+    }
+
+    const { markup, count } = renderGallery(data);
+    const indented = markup.split('\n').map(line => `${CONFIG.indent}${line}`).join('\n');
+    const updated = page.replace(CONFIG.markers, (match, start, end) => `${start}\n${indented}\n${CONFIG.indent}${end}`);
+
+    if (check) {
+        if (updated !== page) {
+            console.error(`✗ The gallery pre-rendered into ${toAssetPath(CONFIG.page)} is out of date - run \`npm run build:gallery\` and commit it`);
+            process.exitCode = 1;
+        } else {
+            console.log(`✓ The gallery pre-rendered into ${toAssetPath(CONFIG.page)} is up to date`);
+        }
+        return;
+    }
+
+    fs.writeFileSync(CONFIG.page, updated);
+
+    console.log(`✓ Pre-rendered ${data.images.length} items in ${count} categories into ${toAssetPath(CONFIG.page)}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Gallery pre-render failed:', error.message);
+    process.exitCode = 1;
+}
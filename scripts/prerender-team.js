@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Team Page Pre-renderer
+ * @description Renders the member cards of team.html from the people registry
+ *              (assets/data/people.json), so the registry is the only list of team members:
+ *              the page, the gallery and the Node scripts all read it. Each person with a
+ *              "group" gets a card in that group's section, in registry order. A card's
+ *              "Photos" link is hidden until the person is tagged in gallery-data.json, so
+ *              visitors without JavaScript don't land on an empty gallery either.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ *
+ * Usage:
+ *   npm run build:team              # write the cards into team.html
+ *   npm run build:team -- --check   # fail if team.html is out of date (CI)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { PATHS, readGalleryData, readPeople, toAssetPath } = require('./lib/gallery-data');
+const { escapeHtml } = require('../assets/js/gallery-markup');
+
+/**
+ * Pre-render configuration
+ * @type {Object}
+ * @property {string} page - Page the cards are written into
+ * @property {string} indent - Indentation of the markers in the page
+ * @property {number} delaySteps - Cards per round of the fade-in delay
+ */
+const CONFIG = {
+    page: PATHS.team,
+    indent: '                    ',
+    delaySteps: 6
+};
+
+// Card colours of each team page section, by the "group" of people.json
+const GROUP_STYLES = {
+    executive: {
+        gradient: 'from-blue-50 via-white to-blue-50/50',
+        border: 'border-blue-300',
+        glow: 'w-32 h-32 bg-blue-800/5 rounded-full blur-2xl',
+        avatar: 'from-blue-800 to-blue-600 rounded-full flex items-center justify-center mx-auto mb-5 shadow-xl group-hover:scale-110 transition-transform ring-4 ring-blue-100',
+        role: 'px-4 py-1.5 bg-blue-800 text-white rounded-full text-sm font-semibold'
+    },
+    administration: {
+        gradient: 'from-emerald-50 via-white to-emerald-50/30',
+        border: 'border-emerald-300',
+        glow: 'w-24 h-24 bg-emerald-500/5 rounded-full blur-xl',
+        avatar: 'from-emerald-500 to-emerald-600 rounded-full flex items-center justify-center mx-auto mb-5 shadow-xl group-hover:scale-110 transition-transform ring-3 ring-emerald-100',
+        role: 'px-3 py-1 bg-emerald-600 text-white rounded-full text-xs font-semibold'
+    },
+    management_committee: {
+        gradient: 'from-purple-50 via-white to-purple-50/30',
+        border: 'border-purple-300',
+        glow: 'w-24 h-24 bg-purple-500/5 rounded-full blur-xl',
+        avatar: 'from-purple-500 to-purple-600 rounded-full flex items-center justify-center mx-auto mb-5 shadow-xl group-hover:scale-110 transition-transform ring-3 ring-purple-100',
+        role: 'px-3 py-1 bg-purple-600 text-white rounded-full text-xs font-semibold'
+    }
+};
+
+/**
+ * Get the start and end comments of a group's cards
+ * @param {string} group - Group key
+ * @returns {RegExp} Markers inside the group's grid
+ */
+function getMarkers(group) {
+    return new RegExp(`(<!-- team:prerender:start ${group} [^>]*-->)[\\s\\S]*?(<!-- team:prerender:end -->)`);
+}
+
+/**
+ * Count the gallery photos each person is tagged in
+ * @param {Array<Object>} images - Gallery images
+ * @returns {Map<string, number>} Photo counts by person id
+ */
+function countTaggedPhotos(images) {
+    const counts = new Map();
+    images.forEach(image => {
+        (image.people || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+    });
+    return counts;
+}
+
+/**
+ * Render the "Photos" link of a card, labelled as team.js labels it
+ * @param {Object} person - Registry entry
+ * @param {number} count - Photos the person is tagged in
+ * @returns {string} Link markup, hidden if there are no photos
+ */
+function renderPhotosLink(person, count) {
+    const id = escapeHtml(person.id);
+    const name = escapeHtml(person.name);
+
+    if (count === 0) {
+        return `<a href="gallery.html#person=${id}" class="team-photos-link" aria-label="Photos of ${name}" data-person-photos hidden>Photos</a>`;
+    }
+    const label = `${count} ${count === 1 ? 'photo' : 'photos'} of ${name}`;
+    return `<a href="gallery.html#person=${id}" class="team-photos-link" aria-label="${label}" data-person-photos>Photos (${count})</a>`;
+}
+
+/**
+ * Render the card of a team member
+ * @param {Object} person - Registry entry
+ * @param {number} number - Card number on the page, from 1
+ * @param {number} delay - Fade-in delay in milliseconds
+ * @param {number} count - Photos the person is tagged in
+ * @returns {string} Card markup
+ */
+function renderCard(person, number, delay, count) {
+    const style = GROUP_STYLES[person.group];
+    const id = escapeHtml(person.id);
+    const name = escapeHtml(person.name);
+
+    return [
+        `<!-- Member Card ${number} - ${escapeHtml(person.role)} -->`,
+        `<div class="bg-gradient-to-br ${style.gradient} rounded-3xl p-6 md:p-8 shadow-lg hover:shadow-2xl transition-all transform hover:-translate-y-2 border-2 ${style.border} relative overflow-hidden group text-center team-card" id="person-${id}" data-person="${id}" data-aos="fade-up" data-aos-delay="${delay}">`,
+        `    <div class="absolute top-0 right-0 ${style.glow}"></div>`,
+        '    <div class="relative z-10">',
+        `        <div class="w-24 h-24 bg-gradient-to-br ${style.avatar}">`,
+        '            <span class="text-4xl text-white">👤</span>',
+        '        </div>',
+        `        <h3 class="text-lg md:text-xl font-serif font-bold text-gray-900 mb-2 text-center" data-person-name>${name}</h3>`,
+        `        <div class="inline-block ${style.role}" data-person-role>${escapeHtml(person.role)}</div>`,
+        '        <div class="mt-4">',
+        `            ${renderPhotosLink(person, count)}`,
+        '        </div>',
+        '    </div>',
+        '</div>'
+    ].join('\n');
+}
+
+/**
+ * Render the cards of every group into the page
+ * @param {string} page - team.html contents
+ * @param {Array<Object>} people - Registry entries
+ * @param {Array<Object>} images - Gallery images, for the photos each person is tagged in
+ * @returns {{page: string, count: number}} Updated page and the number of cards
+ */
+function renderTeam(page, people, images) {
+    const counts = countTaggedPhotos(images);
+    let number = 0;
+
+    const updated = Object.keys(GROUP_STYLES).reduce((html, group) => {
+        const markers = getMarkers(group);
+        if (!markers.test(html)) {
+            throw new Error(`${toAssetPath(CONFIG.page)} has no <!-- team:prerender:start ${group} --> / <!-- team:prerender:end --> markers`);
+        }
+
+        const cards = people
+            .filter(person => person.group === group)
+            .map((person, i) => renderCard(person, ++number, (i % CONFIG.delaySteps + 1) * 100, counts.get(person.id) || 0));
+        const indented = cards.join('\n\n').split('\n')
+            .map(line => (line ? `${CONFIG.indent}${line}` : line))
+            .join('\n');
+
+        return html.replace(markers, (match, start, end) => `${start}\n${indented}\n${CONFIG.indent}${end}`);
+    }, page);
+
+    return { page: updated, count: number };
+}
+
+/**
+ * Render the team cards into team.html, or check that they are up to date
+ * @returns {void}
+ */
+function main() {
+    const check = process.argv.includes('--check');
+    const page = fs.readFileSync(CONFIG.page, 'utf8');
+    const { page: updated, count } = renderTeam(page, readPeople().people, readGalleryData().images);
+
+    if (check) {
+        if (updated !== page) {
+            console.error(`✗ The team cards in ${toAssetPath(CONFIG.page)} are out of date - run \`npm run build:team\` and commit it`);
+            process.exitCode = 1;
+        } else {
+            console.log(`✓ The team cards in ${toAssetPath(CONFIG.page)} are up to date`);
+        }
+        return;
+    }
+
+    fs.writeFileSync(CONFIG.page, updated);
+
+    console.log(`✓ Pre-rendered ${count} team cards from ${toAssetPath(PATHS.people)} into ${toAssetPath(CONFIG.page)}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Team pre-render failed:', error.message);
+    process.exitCode = 1;
+}
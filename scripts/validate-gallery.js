@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Gallery Data Validator
+ * @description Validates assets/data/gallery-data.json and the people.json registry it
+ *              tags, and exits with a non-zero code if any errors are found.
+ * @author Vidya Chaitanya Samakhya
+ * @version 1.0.0
+ *
+ * Usage:
+ *   npm run validate:gallery
+ */
+
+'use strict';
+
+const { PATHS, readGalleryData, readPeople, toAssetPath } = require('./lib/gallery-data');
+const { validateGalleryData } = require('./lib/validate-gallery-data');
+
+/**
+ * Validate the data file and print a report
+ * @returns {void}
+ */
+function main() {
+    let data;
+    let people;
+    try {
+        data = readGalleryData();
+    } catch (error) {
+        console.error(`✗ ${toAssetPath(PATHS.data)}: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    try {
+        people = readPeople();
+    } catch (error) {
+        console.error(`✗ ${toAssetPath(PATHS.people)}: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const { errors, warnings } = validateGalleryData(data, { people });
+
+    warnings.forEach(warning => console.warn(`⚠ ${warning}`));
+    errors.forEach(error => console.error(`✗ ${error}`));
+
+    const summary = `${errors.length} error(s), ${warnings.length} warning(s) in ${toAssetPath(PATHS.data)}`;
+    if (errors.length > 0) {
+        console.error(`\n${summary}`);
+        process.exitCode = 1;
+    } else {
+        console.log(`${warnings.length ? '\n' : ''}✓ ${data.images.length} images valid - ${summary}`);
+    }
+}
+
+main();
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getGalleryItemContent, groupImagesByCategory, normalizeCategory, renderGalleryItem } = require('../assets/js/gallery-markup');
+
+const IMAGE = {
+    id: 'img-001',
+    path: 'assets/images/photos/1.jpeg',
+    description: 'Talent test "star" winners',
+    category: 'talent_test',
+    alt: 'Winners on stage',
+    width: 1600,
+    height: 1200,
+    variants: {
+        thumbnail: { width: 480, height: 360, jpeg: 'assets/images/variants/1-480.jpg', webp: 'assets/images/variants/1-480.webp', avif: 'assets/images/variants/1-480.avif' }
+    }
+};
+
+/**
+ * Read an attribute from the first element in some markup that has it
+ * @param {string} html - Markup
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} Unescaped attribute value
+ */
+function getAttribute(html, name) {
+    const match = html.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match && match[1].replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+test('the pre-rendered item differs from the rendered one only by its fade-in and favourite state', () => {
+    const prerendered = renderGalleryItem(IMAGE, 0);
+    const rendered = renderGalleryItem(IMAGE, 0, { fadeIn: true, favourite: true });
+
+    assert.strictEqual(
+        rendered.replace(' style="opacity: 0; transition: opacity 0.3s ease;"', '').replace('aria-pressed="true"', 'aria-pressed="false"'),
+        prerendered
+    );
+});
+
+test('items carry the label, alt text and thumbnail that hydration compares', () => {
+    const html = renderGalleryItem(IMAGE, 0);
+    const content = getGalleryItemContent(IMAGE);
+
+    assert.strictEqual(getAttribute(html, 'aria-label'), content.label);
+    assert.strictEqual(getAttribute(html, 'alt'), content.alt);
+    assert.strictEqual(getAttribute(html, 'src'), 'assets/images/variants/1-480.jpg');
+    assert.ok(!html.includes('"star"'), 'quotes in the description are escaped');
+});
+
+test('categories are grouped in display order, then by label', () => {
+    const categories = { b: normalizeCategory('b', { label: 'Beta', order: 1 }) };
+    const getCategory = key => categories[key] || normalizeCategory(key);
+    const grouped = groupImagesByCategory([{ category: 'zeta' }, { category: 'b' }, { category: 'alpha' }], getCategory);
+
+    assert.deepStrictEqual(Object.keys(grouped), ['b', 'alpha', 'zeta']);
+    assert.strictEqual(grouped.alpha[0].originalIndex, 2);
+});
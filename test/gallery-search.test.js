@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const vm = require('vm');
+const { PATHS } = require('../scripts/lib/gallery-data');
+
+/**
+ * Load gallery.js (after gallery-markup.js, as the page does) without starting the gallery
+ * @returns {Object} Script context with the GalleryManager class
+ */
+function loadGalleryScript() {
+    // A still-loading document defers initGallery() to a DOMContentLoaded that never fires
+    const context = vm.createContext({ window: {}, document: { readyState: 'loading', addEventListener() {} } });
+    vm.runInContext(fs.readFileSync(PATHS.galleryMarkup, 'utf8'), context);
+    const GalleryManager = vm.runInContext(`${fs.readFileSync(PATHS.galleryScript, 'utf8')}\nGalleryManager;`, context);
+    return { context, GalleryManager };
+}
+
+/**
+ * Create a gallery searching for a query, without its DOM
+ * @param {string} query - Search query
+ * @returns {Object} GalleryManager instance
+ */
+function createSearch(query) {
+    const { context, GalleryManager } = loadGalleryScript();
+    const gallery = Object.create(GalleryManager.prototype);
+    return Object.assign(gallery, { categories: {}, people: new Map(), searchTerms: context.getSearchTerms(query) });
+}
+
+test('photos can be found by their event name', () => {
+    const gallery = createSearch('annual day');
+
+    assert.strictEqual(gallery.matchesSearch({ description: 'Students on stage', category: 'members', event: 'Annual Day 2019' }), true);
+    assert.strictEqual(gallery.matchesSearch({ description: 'Students on stage', category: 'members' }), false);
+});
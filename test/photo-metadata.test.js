@@ -0,0 +1,137 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { readPhotoMetadata, stripPhotoMetadata } = require('../scripts/lib/photo-metadata');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'photo-metadata-'));
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Encode a small JPEG photo with an sRGB ICC profile
+ * @param {Object} [options] - EXIF and JPEG options
+ * @param {Object} [options.exif] - EXIF tags by IFD, as for sharp's withExifMerge() - the
+ *        photo has no EXIF without them
+ * @param {number} [options.orientation=1] - EXIF orientation
+ * @param {boolean} [options.progressive=false] - Encode as a progressive JPEG
+ * @returns {Promise<Buffer>} JPEG file contents
+ */
+function createJpeg({ exif, orientation = 1, progressive = false } = {}) {
+    const photo = sharp({ create: { width: 16, height: 8, channels: 3, background: '#c84' } })
+        .withIccProfile('srgb');
+    if (exif) {
+        photo.withMetadata({ orientation }).withExifMerge(exif);
+    }
+    return photo.jpeg({ progressive }).toBuffer();
+}
+
+/**
+ * Insert a segment straight after the start-of-image marker
+ * @param {Buffer} jpeg - JPEG file contents
+ * @param {number} marker - Segment marker such as 0xE2
+ * @param {string} payload - Segment payload
+ * @returns {Buffer} JPEG with the segment
+ */
+function insertSegment(jpeg, marker, payload) {
+    const header = Buffer.from([0xFF, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([jpeg.subarray(0, 2), header, Buffer.from(payload, 'latin1'), jpeg.subarray(2)]);
+}
+
+/**
+ * Write a photo to the temporary directory
+ * @param {string} name - File name
+ * @param {Buffer} contents - File contents
+ * @returns {string} Path of the file
+ */
+function writePhoto(name, contents) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+/**
+ * Decode a photo to raw pixels
+ * @param {Buffer} contents - File contents
+ * @returns {Promise<Buffer>} Pixels, without the orientation applied
+ */
+function decode(contents) {
+    return sharp(contents).raw().toBuffer();
+}
+
+test('GPS and owner tags are stripped and the orientation is kept', async () => {
+    const original = await createJpeg({
+        orientation: 6,
+        exif: { IFD0: { Artist: 'A Photographer' }, IFD3: { GPSLatitudeRef: 'N' } }
+    });
+    const file = writePhoto('tagged.jpg', original);
+
+    const metadata = await readPhotoMetadata(file);
+    assert.deepStrictEqual(metadata.privateData, ['GPS location', 'owner name']);
+    assert.strictEqual(metadata.orientation, 6);
+    assert.deepStrictEqual([metadata.width, metadata.height], [8, 16]);
+
+    const stripped = await stripPhotoMetadata(file, metadata.orientation);
+    const cleaned = await readPhotoMetadata(writePhoto('tagged-clean.jpg', stripped));
+    assert.deepStrictEqual(cleaned.privateData, []);
+    assert.strictEqual(cleaned.orientation, 6);
+    assert.ok((await sharp(stripped).metadata()).icc, 'the ICC profile is kept');
+    assert.ok((await decode(stripped)).equals(await decode(original)), 'the image is not re-encoded');
+});
+
+test('MPF segments are stripped and ICC profiles kept', async () => {
+    const original = insertSegment(await createJpeg(), 0xE2, 'MPF\0II*\0embedded image index');
+    const file = writePhoto('mpf.jpg', original);
+
+    assert.deepStrictEqual((await readPhotoMetadata(file)).privateData, ['MPF (embedded images)']);
+
+    const stripped = await stripPhotoMetadata(file);
+    assert.ok(!stripped.includes('MPF\0', 0, 'latin1'));
+    assert.ok(stripped.includes('ICC_PROFILE\0', 0, 'latin1'));
+    assert.deepStrictEqual((await readPhotoMetadata(writePhoto('mpf-clean.jpg', stripped))).privateData, []);
+});
+
+test('data after the end of the image is dropped', async () => {
+    const image = await createJpeg();
+    const file = writePhoto('trailing.jpg', Buffer.concat([image, Buffer.from('appended thumbnail', 'latin1')]));
+
+    assert.deepStrictEqual((await readPhotoMetadata(file)).privateData, ['data after the image']);
+
+    const stripped = await stripPhotoMetadata(file);
+    assert.ok(stripped.equals(image));
+});
+
+test('progressive JPEGs keep every scan', async () => {
+    const original = await createJpeg({ progressive: true, exif: { IFD0: { Artist: 'A Photographer' } } });
+    const file = writePhoto('progressive.jpg', original);
+
+    const stripped = await stripPhotoMetadata(file, (await readPhotoMetadata(file)).orientation);
+    assert.ok(stripped.length < original.length);
+    assert.strictEqual((await sharp(stripped).metadata()).isProgressive, true);
+    assert.ok((await decode(stripped)).equals(await decode(original)));
+    assert.deepStrictEqual((await readPhotoMetadata(writePhoto('progressive-clean.jpg', stripped))).privateData, []);
+});
+
+test('malformed JPEGs are rejected and left as they are', async () => {
+    const image = await createJpeg({ exif: { IFD0: { Artist: 'A Photographer' } } });
+    const overlong = Buffer.from(image);
+    overlong.writeUInt16BE(0xFFF0, 4);
+    const malformed = {
+        'cut-off.jpg': image.subarray(0, 30),
+        'overlong.jpg': overlong,
+        'no-marker.jpg': Buffer.concat([image.subarray(0, 2), Buffer.from('not a marker', 'latin1'), image.subarray(2)])
+    };
+
+    for (const [name, contents] of Object.entries(malformed)) {
+        const file = writePhoto(name, contents);
+
+        await assert.rejects(readPhotoMetadata(file), `${name} is not read`);
+        await assert.rejects(stripPhotoMetadata(file), `${name} is not stripped`);
+        assert.ok(fs.readFileSync(file).equals(contents), `${name} is unchanged`);
+    }
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateGalleryData } = require('../scripts/lib/validate-gallery-data');
+
+/**
+ * Build a minimal valid data file with one photo
+ * @param {string} description - Description of the photo
+ * @returns {Object} Gallery data
+ */
+function createData(description) {
+    return {
+        version: '1.0',
+        lastUpdated: '2024-12-07',
+        categories: {
+            ideal_persons_awards: { label: "Ideal Persons' Awards" },
+            free_classes: { label: 'Free Classes' }
+        },
+        images: [{
+            id: 'img-001',
+            name: '1.jpeg',
+            path: 'assets/images/photos/1.jpeg',
+            description,
+            category: 'free_classes',
+            alt: 'Students in a classroom'
+        }]
+    };
+}
+
+test('ordinary words close to a category label are not errors', () => {
+    const { errors } = validateGalleryData(createData('Students sharing their ideas while wearing reading glasses'), { checkFiles: false });
+
+    assert.deepStrictEqual(errors, []);
+});
+
+test('a misspelt category label word is reported as a warning', () => {
+    const { errors, warnings } = validateGalleryData(createData('Free Clases for tenth class students'), { checkFiles: false });
+
+    assert.deepStrictEqual(errors, []);
+    assert.ok(warnings.some(warning => warning.includes('possible typo "Clases"')), warnings.join('\n'));
+});
+
+test('variant paths without variant files are errors', () => {
+    const data = createData('Free classes for tenth class students');
+    data.images[0].variants = {
+        thumbnail: { width: 480, height: 360, jpeg: 'assets/images/variants/missing-480.jpg' }
+    };
+    const { errors } = validateGalleryData(data);
+
+    assert.ok(errors.some(error => error.includes('variant file not found at assets/images/variants/missing-480.jpg')), errors.join('\n'));
+});